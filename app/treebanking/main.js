@@ -5,10 +5,24 @@ import parseTreeBankXML from './xml/parser.js';
 import { loadTreebankData } from './xml/xmlLoader.js';
 import { setupXMLTool } from './xml/xmlTool.js';
 import { setupMorphTool } from './morph/morphTool.js';
-import { setupSentenceSelector } from './ui/navigation.js';
+import { setupAnalyzers } from './morph/analyzer.js';
+import { setupRelationTool } from './relation/relationTool.js';
+import { setupSentenceSelector, displaySentenceAt, sentencePosition } from './ui/navigation.js';
 import { setupResizeHandle, displaySentence } from './ui/sentenceDisplay.js';
 import { compactTree, expandTree, fitTreeToView, focusOnNode } from './tree/treeUtils.js';
-import { saveCurrentTreebank } from './xml/saveXML.js';
+import { saveCurrentTreebank, downloadXML, markSaved, setupUnsavedChangesGuard } from './xml/saveXML.js';
+import { setupOpenFile } from './xml/fileOpen.js';
+import { setupHistoryControls } from './ui/history.js';
+import { setupSearch } from './ui/search.js';
+import { setupTokenEditing } from './ui/tokenEdit.js';
+import { setupQueryTool } from './query/queryTool.js';
+import { setupProblemsTool } from './validation/problemsTool.js';
+import { setupAgreementCheck } from './validation/agreementTool.js';
+import { setupProjectivityTool } from './validation/projectivityTool.js';
+import { setupCyclePreference } from './ui/headCycle.js';
+import { setupArcView } from './tree/arcView.js';
+import { setupWordOrderLayout } from './tree/wordOrder.js';
+import { setupSessionRecovery } from './xml/sessionStore.js';
 
 window.root = null;
 window.svg = null;
@@ -16,6 +30,8 @@ window.gx = null;
 window.idParentPairs = null;
 window.verticalSpacing = 1;
 window.displaySentence = displaySentence;
+window.displaySentenceAt = displaySentenceAt;
+window.sentencePosition = sentencePosition;
 
 /* ============================================================================
     BUTTON & INTERFACE EVENTS
@@ -26,29 +42,12 @@ function setupDownloadButton() {
   const button = document.getElementById("download");
   if (!button) return;
 
-  button.addEventListener("click", async () => {
-    const data = window.treebankData || [];
-    let xmlOut = '<?xml version="1.0" encoding="UTF-8"?>\n<treebank>\n';
+  button.addEventListener("click", () => {
+    // Same serializer as Save, so nothing in the source document is lost
+    downloadXML();
 
-    for (const s of data) {
-      xmlOut += `  <sentence id="${s.id}">\n`;
-      for (const w of s.words) {
-        const lemma  = (w._displayLemma  || w.lemma  || '').replace(/"/g, '&quot;');
-        const postag = (w._displayPostag || w.postag || '').replace(/"/g, '&quot;');
-        xmlOut += `    <word id="${w.id}" form="${w.form}" lemma="${lemma}" postag="${postag}" relation="${w.relation}" head="${w.head}" />\n`;
-      }
-      xmlOut += '  </sentence>\n';
-    }
-    xmlOut += '</treebank>';
-
-    const blob = new Blob([xmlOut], { type: "application/xml" });
-    const el = document.createElement('a');
-    el.href = URL.createObjectURL(blob);
-    el.download = "Treebank.xml";
-    document.body.appendChild(el);
-    el.click();
-    document.body.removeChild(el);
-    URL.revokeObjectURL(el.href);
+    // Without an opened file, the downloaded copy is the saved document
+    if (!window.uploadedFileHandle) markSaved();
   });
 }
 
@@ -133,16 +132,34 @@ function setupTreeButtons() {
 document.addEventListener('DOMContentLoaded', async () => {
   // --- Load and render ---
   await loadTreebankData();
-  await displaySentence(1);
+  // Layout preferences first: the first render honours them
+  setupArcView();
+  setupWordOrderLayout();
+  await displaySentenceAt(0);
 
   // --- Initialize UI ---
   setupSentenceSelector();
   setupResizeHandle();
   setupXMLTool();
   setupMorphTool();
+  setupAnalyzers();
+  setupRelationTool();
+  setupQueryTool();
+  setupProblemsTool();
+  setupProjectivityTool();
+  setupAgreementCheck();
+  setupCyclePreference();
 
   // --- Buttons ---
+  setupOpenFile();
   setupDownloadButton();
   setupSaveButton();
+  setupUnsavedChangesGuard();
   setupTreeButtons();
+  setupHistoryControls();
+  setupSearch();
+  setupTokenEditing();
+
+  // --- Offer to restore unsaved work from an earlier visit ---
+  await setupSessionRecovery();
 });
\ No newline at end of file
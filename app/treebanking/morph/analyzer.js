@@ -0,0 +1,211 @@
+import { normalizeForSearch } from '../query/queryEngine.js';
+
+/**
+ * =============================================================================
+ * MORPHOLOGICAL ANALYZERS
+ * =============================================================================
+ * Suggests {lemma, postag} analyses for a word form, as Morpheus would.
+ *
+ * An analyzer is any object of the shape
+ *
+ *   {
+ *     name: 'local',                                   // shown as the card source
+ *     analyze: async (form, lang) => [{ lemma, postag }, ...]
+ *   }
+ *
+ * Two backends are provided:
+ *
+ *   • createLocalAnalyzer(url)    — a JSON lookup file, works offline:
+ *       { "grc": { "τὸν": [{ "lemma": "ὁ", "postag": "l-s---ma-" }], ... } }
+ *     Keys are matched exactly first, then ignoring accents and case.
+ *
+ *   • createHttpAnalyzer(endpoint) — any service (or local mock server)
+ *     answering GET <endpoint>?form=…&lang=… with a JSON array of analyses
+ *     (or { analyses: [...] }). "{form}" / "{lang}" placeholders in the
+ *     endpoint are filled in instead when present.
+ *
+ * analyzeForm() asks every registered analyzer and merges their answers.
+ * =============================================================================
+ */
+
+const DEFAULT_INDEX_URL = '../../../assets/morphology.json';
+
+const analyzers = [];
+const cache = new Map(); // "lang|form" → Promise<Array<Object>>
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: registerAnalyzer
+ * --------------------------------------------------------------------------
+ * Adds an analyzer to the list consulted by analyzeForm().
+ *
+ * @param {{name: string, analyze: Function}} analyzer - Analyzer to add.
+ * @returns {void}
+ */
+export function registerAnalyzer(analyzer) {
+  if (!analyzer || typeof analyzer.analyze !== 'function') {
+    throw new TypeError('An analyzer needs an analyze(form, lang) function');
+  }
+  analyzers.push(analyzer);
+  cache.clear();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: analyzeForm
+ * --------------------------------------------------------------------------
+ * Collects candidate analyses from every registered analyzer. Each candidate
+ * carries the name of the analyzer that produced it as `source`; duplicates
+ * (same lemma and postag) keep the first source. A failing analyzer is
+ * logged and skipped so the others still answer; its failures are not cached.
+ *
+ * @param {string} form - Word form as written in the text.
+ * @param {string} lang - Language code (e.g. "grc", "lat").
+ * @returns {Promise<Array<{lemma: string, postag: string, source: string}>>}
+ */
+export function analyzeForm(form, lang) {
+  const key = `${lang}|${form}`;
+  if (!cache.has(key)) {
+    let failed = false;
+    cache.set(key, Promise.all(analyzers.map(async analyzer => {
+      try {
+        const results = await analyzer.analyze(form, lang);
+        return (results || []).map(r => ({
+          lemma: r.lemma || '',
+          postag: r.postag || '',
+          source: analyzer.name || 'analyzer'
+        }));
+      } catch (err) {
+        console.warn(`Analyzer "${analyzer.name}" failed for ${form}:`, err);
+        failed = true;
+        return [];
+      }
+    })).then(lists => {
+      if (failed) cache.delete(key); // ask again next time
+      const seen = new Set();
+      return lists.flat().filter(c => {
+        const id = `${c.lemma}|${c.postag}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
+    }));
+  }
+  return cache.get(key);
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: createLocalAnalyzer
+ * --------------------------------------------------------------------------
+ * Analyzer backed by a JSON lookup file (or an already loaded object of the
+ * same shape). The file is fetched once, on first use.
+ *
+ * @param {string|Object} source - URL of the JSON file, or its parsed content.
+ * @param {string} [name='local'] - Source label for the candidates.
+ * @returns {{name: string, analyze: Function}}
+ */
+export function createLocalAnalyzer(source, name = 'local') {
+  let indexPromise = null;
+
+  const loadIndex = async () => {
+    const data = typeof source === 'string'
+      ? await fetch(source).then(r => {
+          if (!r.ok) throw new Error(`${source}: HTTP ${r.status}`);
+          return r.json();
+        })
+      : source;
+
+    // Per language: exact keys, plus accent- and case-folded keys
+    const index = new Map();
+    Object.entries(data || {}).forEach(([lang, forms]) => {
+      const exact = new Map();
+      const folded = new Map();
+      Object.entries(forms).forEach(([form, analyses]) => {
+        exact.set(form.normalize('NFC'), analyses);
+        const key = normalizeForSearch(form);
+        folded.set(key, [...(folded.get(key) || []), ...analyses]);
+      });
+      index.set(lang, { exact, folded });
+    });
+    return index;
+  };
+
+  return {
+    name,
+    async analyze(form, lang) {
+      // A failed load (e.g. missing file) is retried on the next lookup
+      indexPromise ??= loadIndex().catch(err => { indexPromise = null; throw err; });
+      const entry = (await indexPromise).get(lang);
+      if (!entry) return [];
+      return entry.exact.get(String(form).normalize('NFC'))
+        || entry.folded.get(normalizeForSearch(form))
+        || [];
+    }
+  };
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: createHttpAnalyzer
+ * --------------------------------------------------------------------------
+ * Analyzer backed by an HTTP service.
+ *
+ * @param {string} endpoint - Service URL, optionally with {form}/{lang} placeholders.
+ * @param {string} [name='morpheus'] - Source label for the candidates.
+ * @returns {{name: string, analyze: Function}}
+ */
+export function createHttpAnalyzer(endpoint, name = 'morpheus') {
+  return {
+    name,
+    async analyze(form, lang) {
+      let url;
+      if (endpoint.includes('{form}') || endpoint.includes('{lang}')) {
+        url = endpoint
+          .replace('{form}', encodeURIComponent(form))
+          .replace('{lang}', encodeURIComponent(lang));
+      } else {
+        const u = new URL(endpoint, window.location.href);
+        u.searchParams.set('form', form);
+        u.searchParams.set('lang', lang);
+        url = u.href;
+      }
+
+      const response = await fetch(url, { headers: { Accept: 'application/json' } });
+      if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+      const body = await response.json();
+      return Array.isArray(body) ? body : (body.analyses || []);
+    }
+  };
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupAnalyzers
+ * --------------------------------------------------------------------------
+ * Registers the default analyzers: the bundled lookup file and, when the
+ * page is opened with ?analyzer=<endpoint>, an HTTP analyzer for it.
+ *
+ * @returns {void}
+ */
+export function setupAnalyzers() {
+  registerAnalyzer(createLocalAnalyzer(DEFAULT_INDEX_URL));
+
+  const endpoint = new URLSearchParams(window.location.search).get('analyzer');
+  if (endpoint) registerAnalyzer(createHttpAnalyzer(endpoint));
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: languageOf
+ * --------------------------------------------------------------------------
+ * The language of a sentence: its own xml:lang, else the document's,
+ * else Greek.
+ *
+ * @param {Object} sentence - Sentence object.
+ * @returns {string} Language code.
+ */
+export function languageOf(sentence) {
+  const attr = (list) => (list || []).find(([name]) => name === 'xml:lang')?.[1];
+  return attr(sentence?.attributes) || attr(window.treebankData?.meta?.rootAttributes) || 'grc';
+}
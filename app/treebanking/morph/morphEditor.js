@@ -1,6 +1,7 @@
 import { ensureFormsArray, composeUserPostag } from './morphHelpers.js';
 import { applyActiveSelectionToWord, renderUserFormsList } from './morphTool.js';
 import { triggerAutoSave } from '../xml/saveXML.js';
+import { recordChange } from '../ui/history.js';
 
 // Inline editor that appears under the button and closes on save
 export function renderCreateEditorBelow(word, toolBody) {
@@ -188,14 +189,14 @@ host.querySelector('#nf-save').addEventListener('click', () => {
     const postag = composeUserPostag(posChar, fields);
     const normalizedLemma = (nfLemma.value || '').trim() || word.form;
 
-    // Save the new form and activate it
-    word.forms.push({ lemma: normalizedLemma, postag, source: 'you' });
-    word.activeForm = word.forms.length - 1;
-    triggerAutoSave(); // autosave after creating new form
-
+    // Save the new form and activate it, then apply to the token/tree
+    recordChange('form creation', () => {
+      word.forms.push({ lemma: normalizedLemma, postag, source: 'you' });
+      word.activeForm = word.forms.length - 1;
+      applyActiveSelectionToWord(word);
+    });
 
-    // Apply to the token/tree and refresh list, then close editor
-    applyActiveSelectionToWord(word);
+    // Refresh list, then close editor
     renderUserFormsList(word, toolBody);
     host.remove();
 
@@ -35,7 +35,7 @@ export function composeUserPostag(posChar, fields) {
       if (fields.number) tag[2] = fields.number;
       if (fields.gender) tag[6] = fields.gender;
       if (fields.case)   tag[7] = fields.case;
-      if (fields.degree) tag[5] = fields.degree; // harmless if not used
+      if (fields.degree) tag[8] = fields.degree;
     }
     // other POS (c, d, r, u, m, i): POS only at [0] is fine
     return tag.join('');
@@ -96,10 +96,74 @@ export function ensureDocumentSnapshot(word) {
   // default display = document
   if (word._displayLemma === undefined)  word._displayLemma  = word._doc.lemma;
   if (word._displayPostag === undefined) word._displayPostag = word._doc.postag;
-  word.source = 'document';
+  if (word.source === undefined) word.source = 'document';
 }
 
 export function colorForTag(tag) {
   const ch = (tag && tag[0]) ? tag[0].toLowerCase() : '';
   return POS_COLORS[ch] || POS_COLORS[''];
 }
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: formKey
+ * --------------------------------------------------------------------------
+ * Normalizes a word form so that spellings of the same form compare equal:
+ * Unicode NFC, lowercase (sentence-initial capitals) and grave accents
+ * read as acute (τὸν = τόν).
+ */
+export function formKey(form = '') {
+  return String(form)
+    .normalize('NFD')
+    .replace(/\u0300/g, '\u0301')
+    .normalize('NFC')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: findSameForm
+ * --------------------------------------------------------------------------
+ * Lists every word in the document whose form matches the given form
+ * (see formKey), in document order.
+ *
+ * @returns {Array<{sentenceId: string, word: Object}>}
+ */
+export function findSameForm(data, form) {
+  const key = formKey(form);
+  const hits = [];
+  (data || []).forEach(sentence => {
+    sentence.words.forEach(word => {
+      if (formKey(word.form) === key) hits.push({ sentenceId: sentence.id, word });
+    });
+  });
+  return hits;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: groupAnalysesOfForm
+ * --------------------------------------------------------------------------
+ * Groups the lemma/postag pairs currently shown for every other occurrence
+ * of a word's form, most frequent first.
+ *
+ * @returns {Array<{lemma, postag, count, occurrences: Array<{sentenceId, wordId}>}>}
+ */
+export function groupAnalysesOfForm(data, word, sentenceId) {
+  const groups = new Map();
+  findSameForm(data, word.form).forEach(hit => {
+    if (hit.sentenceId === sentenceId && hit.word.id === word.id) return;
+
+    const lemma  = hit.word._displayLemma  ?? hit.word.lemma  ?? '';
+    const postag = hit.word._displayPostag ?? hit.word.postag ?? '';
+    if (!lemma && !postag) return;
+
+    const id = `${lemma}|${postag}`;
+    if (!groups.has(id)) groups.set(id, { lemma, postag, count: 0, occurrences: [] });
+    const group = groups.get(id);
+    group.count++;
+    group.occurrences.push({ sentenceId: hit.sentenceId, wordId: hit.word.id });
+  });
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
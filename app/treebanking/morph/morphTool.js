@@ -1,7 +1,14 @@
-import { colorForTag, parseMorphTag, ensureDocumentSnapshot } from './morphHelpers.js';
+import { colorForTag, parseMorphTag, ensureDocumentSnapshot, groupAnalysesOfForm, findSameForm } from './morphHelpers.js';
 import { renderCreateEditorBelow } from './morphEditor.js';
 import { colorForPOS } from '../tree/treeUtils.js';
 import { triggerAutoSave } from '../xml/saveXML.js';
+import { recordChange } from '../ui/history.js';
+import { analyzeForm, languageOf } from './analyzer.js';
+import { goToWord } from '../ui/search.js';
+import { refreshSentenceView } from '../ui/sentenceDisplay.js';
+import { escapeXML as escapeHTML } from '../xml/serializer.js';
+
+const MAX_OCCURRENCE_LINKS = 6; // per analysis in "Seen elsewhere"
 
 /**
  * --------------------------------------------------------------------------
@@ -62,7 +69,15 @@ export function setupMorphTool() {
   });
 }
 
-export function applyActiveSelectionToWord(word) {
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: applyActiveSelectionToWord
+ * --------------------------------------------------------------------------
+ * Copies the word's active form (or the document form) into its display
+ * fields, then recolors its token and redraws the tree and XML view.
+ * Bulk edits pass { redraw: false } and refresh the view once at the end.
+ */
+export function applyActiveSelectionToWord(word, { redraw = true } = {}) {
   ensureDocumentSnapshot(word);
 
   if (word.activeForm === -1) {
@@ -78,6 +93,8 @@ export function applyActiveSelectionToWord(word) {
       word.source = 'you';
     }
   }
+  if (!redraw) return;
+
   const tok = document.querySelector(`.token[data-word-id="${word.id}"]`);
   if (tok) tok.style.color = colorForPOS(word); // uses _displayPostag
 
@@ -120,8 +137,10 @@ export function renderUserFormsList(word, toolBody) {
       const idx = Number(card.dataset.index);
 
       // update active form and apply globally
-      word.activeForm = idx;
-      applyActiveSelectionToWord(word);
+      recordChange('form activation', () => {
+        word.activeForm = idx;
+        applyActiveSelectionToWord(word);
+      });
       triggerAutoSave(); // autosave after switching active form
 
       // re-render Morph panel and update XML tab
@@ -142,7 +161,7 @@ export function renderUserFormsList(word, toolBody) {
       const confirmDelete = confirm('Delete this form?');
       if (!confirmDelete) return;
 
-      removeForm(word, idx);
+      recordChange('form deletion', () => removeForm(word, idx));
       renderUserFormsList(word, toolBody);
       window.renderMorphInfo(word);
       triggerAutoSave(); // autosave after deleting a form
@@ -304,8 +323,10 @@ function appendCreateAndUserForms(word, toolBody) {
   // Clicking the top checkbox activates the XML/doc form
   topCheckbox?.addEventListener('change', (e) => {
     if (e.target.checked) {
-      word.activeForm = -1;
-      applyActiveSelectionToWord(word);
+      recordChange('form activation', () => {
+        word.activeForm = -1;
+        applyActiveSelectionToWord(word);
+      });
       window.renderMorphInfo(word);
       triggerAutoSave(); // autosave after reactivating document form
     }
@@ -320,6 +341,16 @@ function appendCreateAndUserForms(word, toolBody) {
     btn.addEventListener('click', () => renderCreateEditorBelow(word, toolBody));
   }
 
+  // Bulk propagation of the current analysis (under the create button)
+  const hasAnalysis = word._displayLemma || word._displayPostag;
+  if (hasAnalysis && !toolBody.querySelector('.morph-apply-all') && findSameForm(window.treebankData, word.form).length > 1) {
+    const btn = document.createElement('button');
+    btn.className = 'morph-apply-all';
+    btn.textContent = 'Apply to all occurrences';
+    toolBody.querySelector('.morph-create')?.after(btn);
+    btn.addEventListener('click', () => renderPropagationPreview(word, toolBody));
+  }
+
   // --- Enable delete for the top (document) card ---
   const docDeleteBtn = toolBody.querySelector('.morph-container > .user-form .delete-form');
   if (docDeleteBtn) {
@@ -328,7 +359,7 @@ function appendCreateAndUserForms(word, toolBody) {
       const confirmDelete = confirm('Delete the document form?');
       if (!confirmDelete) return;
 
-      removeForm(word, -1);       // triggers document clear
+      recordChange('document form clear', () => removeForm(word, -1)); // triggers document clear
       window.renderMorphInfo(word); // re-render UI
       triggerAutoSave(); // autosave after clearing document form
     });
@@ -392,17 +423,252 @@ function userFormCardHTML(form, index, isActive) {
       <input id="${cbId}" type="checkbox" ${isActive ? 'checked' : ''} />
       <div class="morph-content">
         <span class="morph-lemma" style="color:${col}">
-          ${form.lemma || ''}
+          ${escapeHTML(form.lemma || '')}
         </span>
-        <p class="morph-tag">${form.postag || ''}</p>
-        <p class="morph-source">${src}</p>
-        <p class="morph-readout">${readable || shortPOS(form.postag)}</p>
+        <p class="morph-tag">${escapeHTML(form.postag || '')}</p>
+        <p class="morph-source">${escapeHTML(src)}${form.origin ? ` (from ${escapeHTML(form.origin)})` : ''}</p>
+        <p class="morph-readout">${escapeHTML(readable || shortPOS(form.postag))}</p>
       </div>
       ${deleteBtn}
     </div>
   `;
 }
 
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renderAnalyzerSuggestions
+ * --------------------------------------------------------------------------
+ * Asks the registered analyzers (see analyzer.js) for the word's form and
+ * shows every analysis the word does not already have as a card, labelled
+ * with its source. Ticking a card adopts it as the word's active form.
+ *
+ * @param {Object} word - Word object shown in the panel.
+ * @param {HTMLElement} toolBody - The #tool-body element.
+ * @returns {Promise<void>}
+ */
+async function renderAnalyzerSuggestions(word, toolBody) {
+  const container = toolBody.querySelector('.morph-container');
+  if (!container) return;
+
+  const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+  const candidates = await analyzeForm(word.form, languageOf(sentence));
+
+  // The panel may have moved on to another word (or been re-rendered)
+  if (!container.isConnected || !window.isMorphActive) return;
+
+  const known = [word._doc, ...(word.forms || [])].map(f => `${f?.lemma}|${f?.postag}`);
+  const fresh = candidates.filter(c => !known.includes(`${c.lemma}|${c.postag}`));
+  if (!fresh.length) return;
+
+  const section = document.createElement('div');
+  section.className = 'morph-suggestions';
+  section.innerHTML = `
+    <p class="morph-suggestions-title">Suggestions</p>
+    ${fresh.map((c, i) => userFormCardHTML(c, `s${i}`, false)).join('')}
+  `;
+  const anchor = container.querySelector('.morph-entry[data-index="-1"]') || container.querySelector('.morph-form');
+  anchor.after(section);
+
+  section.querySelectorAll('.morph-entry input[type="checkbox"]').forEach((cb, i) => {
+    cb.addEventListener('change', (e) => {
+      if (!e.target.checked) return;
+      const { lemma, postag, source } = fresh[i];
+
+      // An adopted analysis is the user's form (so it can be deleted);
+      // the analyzer it came from is kept as its origin
+      recordChange('form from analyzer', () => {
+        ensureFormsArray(word);
+        word.forms.push({ lemma, postag, source: 'you', origin: source });
+        word.activeForm = word.forms.length - 1;
+        applyActiveSelectionToWord(word);
+      });
+      triggerAutoSave();
+      window.renderMorphInfo(word);
+    });
+  });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renderSeenElsewhere
+ * --------------------------------------------------------------------------
+ * Lists the lemma/postag pairs used for the same form in other sentences,
+ * with how often each occurs and links to the occurrences. "Apply" copies
+ * a pair onto this word as a new user form.
+ *
+ * @param {Object} word - Word object shown in the panel.
+ * @param {HTMLElement} toolBody - The #tool-body element.
+ * @returns {void}
+ */
+function renderSeenElsewhere(word, toolBody) {
+  const container = toolBody.querySelector('.morph-container');
+  if (!container) return;
+
+  const groups = groupAnalysesOfForm(window.treebankData, word, `${window.currentIndex}`);
+  if (!groups.length) return;
+
+  const known = [word._doc, ...(word.forms || [])].map(f => `${f?.lemma}|${f?.postag}`);
+
+  const rows = groups.map((g, i) => {
+    const links = g.occurrences.slice(0, MAX_OCCURRENCE_LINKS).map(o => `
+      <a href="#" class="seen-occurrence"
+         data-sentence-id="${escapeHTML(o.sentenceId)}"
+         data-word-id="${escapeHTML(o.wordId)}">${escapeHTML(o.sentenceId)}-${escapeHTML(o.wordId)}</a>
+    `).join('');
+    const more = g.occurrences.length > MAX_OCCURRENCE_LINKS
+      ? `<span class="seen-more">+${g.occurrences.length - MAX_OCCURRENCE_LINKS} more</span>`
+      : '';
+    const action = known.includes(`${g.lemma}|${g.postag}`)
+      ? `<span class="seen-known">already a form</span>`
+      : `<button type="button" class="seen-apply" data-index="${i}">Apply</button>`;
+
+    return `
+      <div class="seen-row">
+        <span class="seen-count">×${g.count}</span>
+        <span class="seen-lemma" style="color:${colorForTag(g.postag)}">${escapeHTML(g.lemma)}</span>
+        <span class="seen-tag">${escapeHTML(g.postag)}</span>
+        ${action}
+        <div class="seen-occurrences">${links}${more}</div>
+      </div>
+    `;
+  }).join('');
+
+  const section = document.createElement('div');
+  section.className = 'morph-seen';
+  section.innerHTML = `<p class="morph-suggestions-title">Seen elsewhere</p>${rows}`;
+  container.appendChild(section);
+
+  section.addEventListener('click', async (e) => {
+    const link = e.target.closest('.seen-occurrence');
+    if (link) {
+      e.preventDefault();
+      await goToWord(link.dataset.sentenceId, link.dataset.wordId);
+      return;
+    }
+
+    const apply = e.target.closest('.seen-apply');
+    if (!apply) return;
+    const { lemma, postag } = groups[Number(apply.dataset.index)];
+    recordChange('form from document', () => {
+      ensureFormsArray(word);
+      word.forms.push({ lemma, postag, source: 'you' });
+      word.activeForm = word.forms.length - 1;
+      applyActiveSelectionToWord(word);
+    });
+    triggerAutoSave();
+    window.renderMorphInfo(word);
+  });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renderPropagationPreview
+ * --------------------------------------------------------------------------
+ * Lists every other token with the same form and its current analysis,
+ * with a checkbox each. Confirming gives every ticked token the word's
+ * current lemma/postag — activating a matching form if the token already
+ * has one, creating a user form otherwise — as one undoable edit.
+ *
+ * @param {Object} word - Word whose displayed analysis is propagated.
+ * @param {HTMLElement} toolBody - The #tool-body element.
+ * @returns {void}
+ */
+function renderPropagationPreview(word, toolBody) {
+  const button = toolBody.querySelector('.morph-apply-all');
+  if (!button) return;
+  toolBody.querySelector('.morph-propagate')?.remove();
+
+  const lemma  = word._displayLemma  ?? word.lemma  ?? '';
+  const postag = word._displayPostag ?? word.postag ?? '';
+  const currentId = `${window.currentIndex}`;
+  const hits = findSameForm(window.treebankData, word.form)
+    .filter(h => !(h.sentenceId === currentId && h.word.id === word.id));
+
+  const analysisOf = w => ({
+    lemma:  w._displayLemma  ?? w.lemma  ?? '',
+    postag: w._displayPostag ?? w.postag ?? ''
+  });
+  const hasTarget = w => {
+    const a = analysisOf(w);
+    return a.lemma === lemma && a.postag === postag;
+  };
+
+  const rows = hits.map((h, i) => {
+    const a = analysisOf(h.word);
+    const same = hasTarget(h.word);
+    return `
+      <label class="propagate-row${same ? ' same' : ''}">
+        <input type="checkbox" data-index="${i}" ${same ? 'disabled' : 'checked'} />
+        <span class="propagate-ref">${escapeHTML(h.sentenceId)}-${escapeHTML(h.word.id)}</span>
+        <span class="propagate-form">${escapeHTML(h.word.form)}</span>
+        <span class="propagate-analysis">${escapeHTML(a.lemma)} · ${escapeHTML(a.postag)}${same ? ' (already)' : ''}</span>
+      </label>
+    `;
+  }).join('');
+
+  const section = document.createElement('div');
+  section.className = 'morph-propagate';
+  section.innerHTML = `
+    <p class="propagate-title">
+      Apply <b>${escapeHTML(lemma)}</b> · <code>${escapeHTML(postag)}</code> to:
+    </p>
+    <div class="propagate-toggles">
+      <a href="#" data-toggle="all">all</a> · <a href="#" data-toggle="none">none</a>
+    </div>
+    <div class="propagate-list">${rows}</div>
+    <div class="propagate-actions">
+      <button type="button" class="propagate-confirm"></button>
+      <button type="button" class="propagate-cancel">Cancel</button>
+    </div>
+  `;
+  button.after(section);
+
+  const boxes = [...section.querySelectorAll('.propagate-row input:not(:disabled)')];
+  const confirmBtn = section.querySelector('.propagate-confirm');
+  const updateCount = () => {
+    const n = boxes.filter(b => b.checked).length;
+    confirmBtn.textContent = `Apply to ${n} token${n === 1 ? '' : 's'}`;
+    confirmBtn.disabled = n === 0;
+  };
+  updateCount();
+
+  section.addEventListener('change', updateCount);
+  section.querySelectorAll('[data-toggle]').forEach(a => {
+    a.addEventListener('click', (e) => {
+      e.preventDefault();
+      boxes.forEach(b => { b.checked = a.dataset.toggle === 'all'; });
+      updateCount();
+    });
+  });
+  section.querySelector('.propagate-cancel').addEventListener('click', () => section.remove());
+
+  confirmBtn.addEventListener('click', () => {
+    const targets = boxes.filter(b => b.checked).map(b => hits[Number(b.dataset.index)]);
+    const sentenceIds = [...new Set([currentId, ...targets.map(t => t.sentenceId)])];
+
+    recordChange('apply to all occurrences', () => {
+      targets.forEach(({ word: target }) => {
+        ensureDocumentSnapshot(target);
+        ensureFormsArray(target);
+        if (target._doc.lemma === lemma && target._doc.postag === postag) {
+          target.activeForm = -1;
+        } else {
+          let idx = target.forms.findIndex(f => f.lemma === lemma && f.postag === postag);
+          if (idx < 0) {
+            target.forms.push({ lemma, postag, source: 'you' });
+            idx = target.forms.length - 1;
+          }
+          target.activeForm = idx;
+        }
+        applyActiveSelectionToWord(target, { redraw: false });
+      });
+    }, sentenceIds);
+
+    refreshSentenceView();
+    triggerAutoSave();
+  });
+}
+
 function removeForm(word, index) {
   if (!Array.isArray(word.forms)) return;
 
@@ -482,6 +748,12 @@ function renderMorphInfo(word) {
   // Append creation/editor + list BELOW the top card 
   appendCreateAndUserForms(word, toolBody);
 
+  // Analyzer suggestions arrive asynchronously, right under the top card
+  renderAnalyzerSuggestions(word, toolBody);
+
+  // How the same form was analysed in the rest of the document
+  renderSeenElsewhere(word, toolBody);
+
   // Force all morph entries to start collapsed after forms are rebuilt
   document.querySelectorAll('.morph-entry').forEach(entry => {
     entry.classList.remove('expanded');
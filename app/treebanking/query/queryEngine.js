@@ -0,0 +1,361 @@
+import { parseMorphTag } from '../morph/morphHelpers.js';
+
+/**
+ * =============================================================================
+ * TREEBANK QUERY ENGINE
+ * =============================================================================
+ * A small query language over the word objects produced by parseTreeBankXML.
+ * This module has no DOM or D3 dependencies, so it also runs headlessly:
+ *
+ *   // Node (DOMParser provided by e.g. jsdom for parseTreeBankXML)
+ *   import parseTreeBankXML from '../xml/parser.js';
+ *   import { runQuery } from './queryEngine.js';
+ *   const hits = runQuery(parseTreeBankXML(xml), '[pos=n case=g] parent[pos=v tense=a]');
+ *
+ * -----------------------------------------------------------------------------
+ * Syntax
+ * -----------------------------------------------------------------------------
+ *
+ *   query     := node
+ *   node      := '[' condition* ']' relation*
+ *   relation  := ['!' | 'not'] axis target
+ *   axis      := parent | child | ancestor | descendant | sibling
+ *   target    := '[' condition* ']'  |  '(' node ')'
+ *   condition := key op value ('|' value)*        op: =  !=  ~  !~
+ *
+ * Keys:
+ *   form, lemma             accent-insensitive ("=" exact, "~" regex)
+ *   postag, relation (rel)  "relation=ADV" also matches ADV_CO / ADV_AP
+ *   id, head                word id and head id (head=0 → attached to root)
+ *   pos, person, number, tense, mood, voice, gender, case, degree
+ *                           single postag positions via parseMorphTag;
+ *                           codes (case=g) or names (case=genitive)
+ *
+ * Values containing spaces, "|" or brackets (e.g. regex alternations) can be
+ * quoted: form~"^(και|δε)$".
+ *
+ * Conditions inside one bracket must all hold; a leading "!" / "not"
+ * negates a relation ("has no such child"). Relations written after a node
+ * all constrain that node; use parentheses to chain further:
+ *
+ *   [pos=n case=g] parent[pos=v tense=a]
+ *       genitive nouns whose head is an aorist verb
+ *   [rel=AuxP] !child[rel=ATR|ADV|OBJ]
+ *       prepositions with no ATR/ADV/OBJ child
+ *   [rel=AuxP] child[rel!=ATR|ADV|OBJ]
+ *       prepositions with a child that is not ATR/ADV/OBJ
+ *   [pos=v] child([rel=AuxP] child[case=d])
+ *       verbs governing a preposition with a dative object
+ * =============================================================================
+ */
+
+/** Raised for malformed queries; `position` is the offending character index. */
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(`${message} (at position ${position + 1})`);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+export const QUERY_AXES = ['parent', 'child', 'ancestor', 'descendant', 'sibling'];
+
+const FEATURE_KEYS = ['pos', 'person', 'number', 'tense', 'mood', 'voice', 'gender', 'case', 'degree'];
+const KEY_ALIASES = { rel: 'relation', casus: 'case' };
+const TEXT_KEYS = ['form', 'lemma', 'postag', 'relation', 'id', 'head'];
+
+// Long names accepted for feature values (case=genitive → case=g)
+const FEATURE_NAMES = {
+  pos:    { verb:'v', noun:'n', adjective:'a', adverb:'d', pronoun:'p', conjunction:'c',
+            adposition:'r', preposition:'r', article:'l', numeral:'m', interjection:'i', punctuation:'u' },
+  person: { first:'1', second:'2', third:'3' },
+  number: { singular:'s', plural:'p', dual:'d' },
+  tense:  { present:'p', imperfect:'i', perfect:'r', pluperfect:'l', future:'f', aorist:'a' },
+  mood:   { indicative:'i', subjunctive:'s', optative:'o', infinitive:'n', imperative:'m', participle:'p' },
+  voice:  { active:'a', middle:'e', 'medio-passive':'e', passive:'p' },
+  gender: { masculine:'m', feminine:'f', neuter:'n', common:'c' },
+  case:   { nominative:'n', genitive:'g', dative:'d', accusative:'a', vocative:'v' },
+  degree: { positive:'p', comparative:'c', superlative:'s' }
+};
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: normalizeForSearch
+ * --------------------------------------------------------------------------
+ * Folds a string for accent- and case-insensitive matching: strips all
+ * combining marks (Greek accents, breathings, iota subscript, diaeresis),
+ * lowercases, treats final sigma as sigma and unifies elision marks.
+ *
+ * @param {string} text - Text to normalize.
+ * @returns {string} Folded text.
+ */
+export function normalizeForSearch(text = '') {
+  return String(text)
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/ς/g, 'σ')
+    .replace(/[᾽᾿’ʼ]/g, "'");
+}
+
+/* ============================================================================
+    PARSER
+   ============================================================================ */
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: parseQuery
+ * --------------------------------------------------------------------------
+ * Parses query text into a node tree:
+ *   { conditions: [{ key, op, values }], relations: [{ axis, negated, target }] }
+ *
+ * @param {string} text - Query text.
+ * @returns {Object} Parsed query.
+ * @throws {QuerySyntaxError} If the query is malformed.
+ */
+export function parseQuery(text = '') {
+  let pos = 0;
+
+  const skipSpace = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+  const peek = () => { skipSpace(); return text[pos]; };
+  const expect = (ch) => {
+    if (peek() !== ch) {
+      throw new QuerySyntaxError(`Expected "${ch}" but found ${text[pos] ? `"${text[pos]}"` : 'end of query'}`, pos);
+    }
+    pos++;
+  };
+  const readWord = () => {
+    skipSpace();
+    const m = text.slice(pos).match(/^[A-Za-z_]+/);
+    if (!m) return '';
+    pos += m[0].length;
+    return m[0];
+  };
+
+  const readValue = () => {
+    skipSpace();
+    if (text[pos] === '"') {
+      const end = text.indexOf('"', pos + 1);
+      if (end < 0) throw new QuerySyntaxError('Unterminated quoted value', pos);
+      const value = text.slice(pos + 1, end);
+      pos = end + 1;
+      return value;
+    }
+    const start = pos;
+    while (pos < text.length && !/[\s,|\]\)&]/.test(text[pos])) pos++;
+    if (start === pos) throw new QuerySyntaxError('Expected a value', pos);
+    return text.slice(start, pos);
+  };
+
+  const parseCondition = () => {
+    const start = pos;
+    const rawKey = readWord().toLowerCase();
+    const key = KEY_ALIASES[rawKey] || rawKey;
+    if (!key) throw new QuerySyntaxError('Expected an attribute name', pos);
+    if (!TEXT_KEYS.includes(key) && !FEATURE_KEYS.includes(key)) {
+      throw new QuerySyntaxError(`Unknown attribute "${rawKey}"`, start);
+    }
+
+    skipSpace();
+    const m = text.slice(pos).match(/^(!=|!~|=|~)/);
+    if (!m) throw new QuerySyntaxError(`Expected =, !=, ~ or !~ after "${rawKey}"`, pos);
+    pos += m[0].length;
+    const op = m[0];
+
+    const values = [readValue()];
+    while (peek() === '|') {
+      pos++;
+      values.push(readValue());
+    }
+
+    const condition = { key, op, values };
+    if (op.endsWith('~')) {
+      try {
+        condition.patterns = values.map(v => new RegExp(
+          ['form', 'lemma'].includes(key) ? normalizeForSearch(v) : v, 'u'));
+      } catch (err) {
+        throw new QuerySyntaxError(`Invalid regular expression: ${err.message}`, start);
+      }
+    } else if (FEATURE_KEYS.includes(key)) {
+      condition.values = values.map(v => FEATURE_NAMES[key][v.toLowerCase()] || v);
+    }
+    return condition;
+  };
+
+  const parseBracket = () => {
+    expect('[');
+    const conditions = [];
+    while (peek() !== ']') {
+      if (peek() === undefined) throw new QuerySyntaxError('Missing "]"', pos);
+      if (peek() === ',' || peek() === '&') { pos++; continue; }
+      conditions.push(parseCondition());
+    }
+    pos++;
+    return conditions;
+  };
+
+  const parseNode = () => {
+    const node = { conditions: parseBracket(), relations: [] };
+
+    for (;;) {
+      skipSpace();
+      const start = pos;
+      let negated = false;
+      if (text[pos] === '!') {
+        negated = true;
+        pos++;
+      }
+      let axis = readWord().toLowerCase();
+      if (axis === 'not') {
+        negated = true;
+        axis = readWord().toLowerCase();
+      }
+
+      if (!axis) {
+        if (negated) throw new QuerySyntaxError('Expected a relation after negation', pos);
+        pos = start;
+        break;
+      }
+      if (!QUERY_AXES.includes(axis)) {
+        throw new QuerySyntaxError(`Unknown relation "${axis}" (use ${QUERY_AXES.join(', ')})`, start);
+      }
+
+      let target;
+      if (peek() === '(') {
+        pos++;
+        target = parseNode();
+        expect(')');
+      } else {
+        target = { conditions: parseBracket(), relations: [] };
+      }
+      node.relations.push({ axis, negated, target });
+    }
+    return node;
+  };
+
+  if (!text.trim()) throw new QuerySyntaxError('Empty query', 0);
+  const ast = parseNode();
+  if (peek() !== undefined) {
+    throw new QuerySyntaxError(`Unexpected "${text[pos]}"`, pos);
+  }
+  return ast;
+}
+
+/* ============================================================================
+    MATCHING
+   ============================================================================ */
+
+function wordValue(word, key) {
+  switch (key) {
+    case 'form':     return normalizeForSearch(word.form ?? word.word);
+    case 'lemma':    return normalizeForSearch(word._displayLemma ?? word.lemma);
+    case 'postag':   return word._displayPostag ?? word.postag ?? '';
+    case 'relation': return word.relation || '';
+    case 'id':       return String(word.id ?? '');
+    case 'head':     return String(word.head || '0');
+    default:         return parseMorphTag(word._displayPostag ?? word.postag ?? '')[key];
+  }
+}
+
+function conditionHolds(word, { key, op, values, patterns }) {
+  const actual = wordValue(word, key);
+  let hit;
+
+  if (patterns) {
+    hit = patterns.some(re => re.test(actual));
+  } else {
+    hit = values.some(v => {
+      if (key === 'form' || key === 'lemma') return actual === normalizeForSearch(v);
+      if (key === 'relation') return actual === v || actual.startsWith(`${v}_`);
+      return actual === v;
+    });
+  }
+  return op.startsWith('!') ? !hit : hit;
+}
+
+// Words related to `word` along one axis, within the same sentence
+function related(index, word, axis) {
+  switch (axis) {
+    case 'parent': {
+      const head = index.byId.get(String(word.head));
+      return head ? [head] : [];
+    }
+    case 'child':
+      return index.children.get(String(word.id)) || [];
+    case 'sibling':
+      return (index.children.get(String(word.head || '0')) || []).filter(w => w !== word);
+    case 'ancestor': {
+      const out = [];
+      const seen = new Set();
+      let current = index.byId.get(String(word.head));
+      while (current && !seen.has(current)) {
+        seen.add(current);
+        out.push(current);
+        current = index.byId.get(String(current.head));
+      }
+      return out;
+    }
+    case 'descendant': {
+      const out = [];
+      const stack = [...(index.children.get(String(word.id)) || [])];
+      const seen = new Set();
+      while (stack.length) {
+        const w = stack.pop();
+        if (seen.has(w)) continue;
+        seen.add(w);
+        out.push(w);
+        stack.push(...(index.children.get(String(w.id)) || []));
+      }
+      return out;
+    }
+    default:
+      return [];
+  }
+}
+
+function nodeMatches(index, word, node) {
+  if (!node.conditions.every(c => conditionHolds(word, c))) return false;
+  return node.relations.every(({ axis, negated, target }) => {
+    const found = related(index, word, axis).some(w => nodeMatches(index, w, target));
+    return negated ? !found : found;
+  });
+}
+
+function indexSentence(sentence) {
+  const byId = new Map();
+  const children = new Map();
+  sentence.words.forEach(w => {
+    byId.set(String(w.id), w);
+    const head = String(w.head || '0');
+    if (!children.has(head)) children.set(head, []);
+    children.get(head).push(w);
+  });
+  return { byId, children };
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: runQuery
+ * --------------------------------------------------------------------------
+ * Runs a query over every sentence of a parsed treebank.
+ *
+ * @param {Array<Object>} data - Parsed sentences (e.g. window.treebankData).
+ * @param {string|Object} query - Query text or the result of parseQuery().
+ * @returns {Array<{sentenceId: string, wordId: string, word: Object, index: number}>}
+ *          Matching words in document order.
+ * @throws {QuerySyntaxError} If query text is malformed.
+ */
+export function runQuery(data, query) {
+  const ast = typeof query === 'string' ? parseQuery(query) : query;
+  const hits = [];
+
+  (data || []).forEach(sentence => {
+    const index = indexSentence(sentence);
+    sentence.words.forEach((word, i) => {
+      if (nodeMatches(index, word, ast)) {
+        hits.push({ sentenceId: sentence.id, wordId: word.id, word, index: i });
+      }
+    });
+  });
+  return hits;
+}
@@ -0,0 +1,185 @@
+import { runQuery, QuerySyntaxError } from './queryEngine.js';
+import { goToWord, hitListHTML } from '../ui/search.js';
+import { escapeXML as escapeHTML } from '../xml/serializer.js';
+
+const EXAMPLES = [
+  ['[pos=n case=g] parent[pos=v tense=a]', 'genitive nouns whose head is an aorist verb'],
+  ['[rel=AuxP] !child[rel=ATR|ADV|OBJ]', 'prepositions without an ATR/ADV/OBJ child'],
+  ['[pos=v] child([rel=AuxP] child[case=d])', 'verbs governing a preposition with a dative'],
+  ['[lemma=ειμι] child[rel=PNOM]', 'forms of εἰμί with a predicate nominal']
+];
+
+// sentenceId → Set of matching word ids, used to highlight the tree
+let matchesBySentence = new Map();
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupQueryTool
+ * --------------------------------------------------------------------------
+ * Enables the "Query" tab on the right-hand toolbar: a structural query box
+ * (see queryEngine.js for the syntax), the list of matching words across the
+ * document, and highlighting of matches in the tree and sentence.
+ * --------------------------------------------------------------------------
+ */
+export function setupQueryTool() {
+  const queryBtn = document.getElementById('query');
+  const toolBody = document.getElementById('tool-body');
+  const allToolButtons = document.querySelectorAll('#toolbar button');
+  if (!queryBtn || !toolBody) return;
+
+  window.isQueryActive = false;
+  window.highlightQueryMatches = highlightQueryMatches;
+  let lastQuery = '';
+
+  const closeQueryTool = () => {
+    window.isQueryActive = false;
+    matchesBySentence = new Map();
+    highlightQueryMatches();
+  };
+
+  // Any other tool taking over the panel turns Query off
+  allToolButtons.forEach(btn => {
+    if (btn !== queryBtn) btn.addEventListener('click', closeQueryTool);
+  });
+
+  queryBtn.addEventListener('click', () => {
+    if (window.isQueryActive) {
+      closeQueryTool();
+      queryBtn.classList.remove('active');
+      toolBody.innerHTML = `<p>Please select a tool from the bar above that you would like to use.</p>`;
+      return;
+    }
+
+    window.closeMorphTool?.();
+    window.closeRelationTool?.();
+    window.closeXMLTool?.();
+    allToolButtons.forEach(btn => btn.classList.remove('active'));
+    document.body.classList.remove('mode-morph');
+
+    window.isQueryActive = true;
+    queryBtn.classList.add('active');
+    renderQueryPanel(toolBody, lastQuery, (q) => { lastQuery = q; });
+  });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renderQueryPanel
+ * --------------------------------------------------------------------------
+ * Draws the query editor, syntax examples and result area into the tool
+ * body and wires running the query (button or Ctrl+Enter).
+ *
+ * @param {HTMLElement} toolBody - The #tool-body element.
+ * @param {string} initialQuery - Query text to prefill.
+ * @param {Function} onRun - Called with the query text whenever it runs.
+ * @returns {void}
+ */
+function renderQueryPanel(toolBody, initialQuery, onRun) {
+  toolBody.innerHTML = `
+    <div class="query-container">
+      <textarea id="query-input" rows="3" spellcheck="false"
+                placeholder="[pos=n case=g] parent[pos=v]">${escapeHTML(initialQuery)}</textarea>
+      <div class="query-actions">
+        <details class="query-help">
+          <summary>Syntax &amp; examples</summary>
+          <p>
+            <code>[key=value …]</code> matches a word; keys: form, lemma, postag, rel, id, head,
+            pos, person, number, tense, mood, voice, gender, case, degree.
+            Operators <code>=</code> <code>!=</code> <code>~</code> (regex) <code>!~</code>;
+            alternatives with <code>|</code>.
+            Follow with <code>parent</code>, <code>child</code>, <code>ancestor</code>,
+            <code>descendant</code> or <code>sibling</code> <code>[…]</code>, negated with
+            <code>!</code>; nest with <code>( … )</code>.
+          </p>
+          <ul>
+            ${EXAMPLES.map(([q, desc]) => `
+              <li><a href="#" class="query-example" data-query="${escapeHTML(q)}"><code>${escapeHTML(q)}</code></a> — ${desc}</li>
+            `).join('')}
+          </ul>
+        </details>
+        <button id="query-run" type="button" class="morph-create">Run query</button>
+      </div>
+      <p id="query-error" class="query-error" hidden></p>
+      <div id="query-results"></div>
+    </div>
+  `;
+
+  const input = toolBody.querySelector('#query-input');
+  const errorEl = toolBody.querySelector('#query-error');
+  const resultsEl = toolBody.querySelector('#query-results');
+
+  const run = () => {
+    const text = input.value.trim();
+    onRun(text);
+    errorEl.hidden = true;
+    resultsEl.innerHTML = '';
+    matchesBySentence = new Map();
+
+    if (text) {
+      try {
+        const hits = runQuery(window.treebankData, text);
+        hits.forEach(h => {
+          if (!matchesBySentence.has(h.sentenceId)) matchesBySentence.set(h.sentenceId, new Set());
+          matchesBySentence.get(h.sentenceId).add(h.wordId);
+        });
+        const sentenceCount = matchesBySentence.size;
+        resultsEl.innerHTML = hits.length
+          ? hitListHTML(hits).replace('</p>', ` in ${sentenceCount} sentence${sentenceCount === 1 ? '' : 's'}</p>`)
+          : hitListHTML(hits);
+      } catch (err) {
+        if (!(err instanceof QuerySyntaxError)) throw err;
+        errorEl.textContent = err.message;
+        errorEl.hidden = false;
+        input.focus();
+        input.setSelectionRange(err.position, err.position + 1);
+      }
+    }
+    highlightQueryMatches();
+  };
+
+  toolBody.querySelector('#query-run').addEventListener('click', run);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      run();
+    }
+  });
+
+  toolBody.querySelectorAll('.query-example').forEach(a => {
+    a.addEventListener('click', (e) => {
+      e.preventDefault();
+      input.value = a.dataset.query;
+      run();
+    });
+  });
+
+  resultsEl.addEventListener('click', async (e) => {
+    const item = e.target.closest('.search-hit');
+    if (!item) return;
+    await goToWord(item.dataset.sentenceId, item.dataset.wordId);
+  });
+
+  if (initialQuery) run();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: highlightQueryMatches
+ * --------------------------------------------------------------------------
+ * Marks the displayed sentence's query matches in the tree and sentence bar.
+ * Called after every tree redraw (createNodeHierarchy) so marks survive
+ * navigation and edits.
+ *
+ * @returns {void}
+ */
+function highlightQueryMatches() {
+  document.querySelectorAll('.token.query-match').forEach(t => t.classList.remove('query-match'));
+  d3.selectAll('.node.query-match').classed('query-match', false);
+
+  const ids = matchesBySentence.get(`${window.currentIndex}`);
+  if (!ids) return;
+  ids.forEach(id => {
+    document.querySelector(`.token[data-word-id='${id}']`)?.classList.add('query-match');
+    d3.select(`.node[id='${id}']`).classed('query-match', true);
+  });
+}
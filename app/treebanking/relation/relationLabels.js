@@ -0,0 +1,74 @@
+/**
+ * AGDT dependency labels, in the order they are offered in the panel.
+ * Labels found in the loaded document but missing here are appended.
+ */
+export const RELATION_LABELS = {
+  PRED:  'predicate',
+  SBJ:   'subject',
+  OBJ:   'object',
+  ATR:   'attribute',
+  ADV:   'adverbial',
+  ATV:   'complement',
+  AtvV:  'verbal complement',
+  PNOM:  'predicate nominal',
+  OCOMP: 'object complement',
+  COORD: 'coordinator',
+  APOS:  'apposing element',
+  AuxP:  'preposition',
+  AuxC:  'conjunction',
+  AuxR:  'reflexive passive',
+  AuxV:  'auxiliary verb',
+  AuxX:  'comma',
+  AuxY:  'sentence adverbial',
+  AuxZ:  'emphasizing particle',
+  AuxG:  'bracketing punctuation',
+  AuxK:  'terminal punctuation',
+  ExD:   'ellipsis'
+};
+
+/**
+ * Suffix modifiers, written in this order after the base label (e.g. OBJ_AP_CO).
+ * Other segments, such as the ellipsis path in ADV_ExD0_PRED, are kept as
+ * they are, between the base label and these.
+ */
+export const RELATION_SUFFIXES = {
+  AP: 'apposition',
+  CO: 'coordination'
+};
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: parseRelation
+ * --------------------------------------------------------------------------
+ * Splits a relation such as "OBJ_AP_CO" into its base label and suffixes.
+ * Segments that are not known suffixes ("ExD0", "PRED" in ADV_ExD0_PRED_CO)
+ * are returned in order in `rest`.
+ *
+ * @param {string} relation - Relation string from a word.
+ * @returns {{base: string, suffixes: Object<string, boolean>, rest: Array<string>}} Parsed relation.
+ */
+export function parseRelation(relation = '') {
+  const [base = '', ...segments] = String(relation ?? '').split('_');
+  const suffixes = {};
+  Object.keys(RELATION_SUFFIXES).forEach(s => { suffixes[s] = segments.includes(s); });
+  const rest = segments.filter(s => !Object.hasOwn(RELATION_SUFFIXES, s));
+  return { base, suffixes, rest };
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: composeRelation
+ * --------------------------------------------------------------------------
+ * Inverse of parseRelation(): joins a base label, the other segments and
+ * the active suffixes.
+ *
+ * @param {string} base - Base label (e.g. "OBJ").
+ * @param {Object<string, boolean>} suffixes - Which suffixes are set.
+ * @param {Array<string>} [rest] - Other segments, from parseRelation().
+ * @returns {string} Relation string (e.g. "OBJ_AP_CO").
+ */
+export function composeRelation(base, suffixes = {}, rest = []) {
+  if (!base) return '';
+  const active = Object.keys(RELATION_SUFFIXES).filter(s => suffixes[s]);
+  return [base, ...rest, ...active].join('_');
+}
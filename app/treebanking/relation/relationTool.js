@@ -0,0 +1,177 @@
+import { recordChange } from '../ui/history.js';
+import { refreshSentenceView } from '../ui/sentenceDisplay.js';
+import { triggerAutoSave } from '../xml/saveXML.js';
+import { RELATION_LABELS, RELATION_SUFFIXES, parseRelation, composeRelation } from './relationLabels.js';
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setWordRelation
+ * --------------------------------------------------------------------------
+ * Changes a word's relation as one undoable edit, redraws the edge label
+ * and autosaves.
+ *
+ * @param {Object} word - Word object from the current sentence.
+ * @param {string} relation - New relation string.
+ * @returns {void}
+ */
+export function setWordRelation(word, relation) {
+  if (!word || word.relation === relation) return;
+  recordChange('relation change', () => { word.relation = relation; });
+  refreshSentenceView();
+  triggerAutoSave();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupRelationTool
+ * --------------------------------------------------------------------------
+ * Enables the "Relation" tab on the right-hand toolbar.
+ * While it is active, clicking a word (or an edge label in the tree) shows
+ * a panel for choosing that word's dependency label.
+ * --------------------------------------------------------------------------
+ */
+export function setupRelationTool() {
+  const relationBtn = document.getElementById('relation');
+  const toolBody = document.getElementById('tool-body');
+  const allToolButtons = document.querySelectorAll('#toolbar button');
+  if (!relationBtn || !toolBody) return;
+
+  window.isRelationActive = false;
+
+  // Allow other code to close Relation (e.g., when sentence changes)
+  window.closeRelationTool = function () {
+    if (!window.isRelationActive) return;
+    window.isRelationActive = false;
+    document.body.classList.remove('mode-relation');
+    relationBtn.classList.remove('active');
+    toolBody.innerHTML = `<p>Please select a tool from the bar above that you would like to use.</p>`;
+    document.querySelectorAll(".token.selected").forEach(t => t.classList.remove("selected"));
+    d3.selectAll(".node").classed("selected", false);
+  };
+
+  // Any other tool taking over the panel turns Relation off
+  allToolButtons.forEach(btn => {
+    if (btn === relationBtn) return;
+    btn.addEventListener('click', () => {
+      window.isRelationActive = false;
+      document.body.classList.remove('mode-relation');
+    });
+  });
+
+  relationBtn.addEventListener('click', () => {
+    if (window.isRelationActive) {
+      window.closeRelationTool();
+    } else {
+      openRelationTool();
+    }
+  });
+
+  window.renderRelationInfo = renderRelationInfo;
+
+  // Clicking an edge label opens the editor for that edge's dependent
+  window.openRelationEditor = function (wordId) {
+    if (window.isReadOnly) return;
+    if (!window.isRelationActive) openRelationTool();
+
+    document.querySelectorAll(".token").forEach(t => t.classList.remove("selected"));
+    d3.selectAll(".node").classed("selected", false);
+    document.querySelector(`.token[data-word-id='${wordId}']`)?.classList.add('selected');
+    d3.select(`.node[id='${wordId}']`).classed('selected', true);
+
+    const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+    renderRelationInfo(sentence?.words.find(w => w.id === wordId));
+  };
+
+  function openRelationTool() {
+    window.closeMorphTool?.();
+    window.closeXMLTool?.();
+    allToolButtons.forEach(btn => btn.classList.remove('active'));
+    document.body.classList.remove('mode-morph');
+
+    window.isRelationActive = true;
+    document.body.classList.add('mode-relation');
+    relationBtn.classList.add('active');
+    toolBody.innerHTML = `<p style="padding:8px;">Click a word or an edge label to edit its relation.</p>`;
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: availableLabels
+ * --------------------------------------------------------------------------
+ * Standard AGDT labels plus any other base label used in the document.
+ *
+ * @returns {Array<string>} Base labels to offer.
+ */
+function availableLabels() {
+  const labels = Object.keys(RELATION_LABELS);
+  (window.treebankData || []).forEach(s => s.words.forEach(w => {
+    const { base } = parseRelation(w.relation);
+    if (base && !labels.includes(base)) labels.push(base);
+  }));
+  return labels;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renderRelationInfo
+ * --------------------------------------------------------------------------
+ * Renders the relation panel for a word: its current label, one button per
+ * base label and a checkbox per suffix. Every change is applied at once.
+ *
+ * @param {Object} word - Word object from the current sentence.
+ * @returns {void}
+ */
+function renderRelationInfo(word) {
+  if (!window.isRelationActive) return;
+  const toolBody = document.getElementById('tool-body');
+  if (!toolBody || !word) return;
+
+  const { base, suffixes, rest } = parseRelation(word.relation);
+
+  const labelButtons = availableLabels().map(label => `
+    <button type="button"
+            class="relation-label${label === base ? ' active' : ''}"
+            data-label="${label}"
+            title="${RELATION_LABELS[label] || label}">${label}</button>
+  `).join('');
+
+  const suffixToggles = Object.entries(RELATION_SUFFIXES).map(([suffix, name]) => `
+    <label class="relation-suffix">
+      <input type="checkbox" data-suffix="${suffix}" ${suffixes[suffix] ? 'checked' : ''} ${base ? '' : 'disabled'} />
+      _${suffix} <span>${name}</span>
+    </label>
+  `).join('');
+
+  toolBody.innerHTML = `
+    <div class="relation-container">
+      <p class="morph-form">
+        ${word.form}
+        <span class="morph-id" style="color:#9aa3ad">${window.currentIndex}-${word.id}</span>
+      </p>
+      <p class="relation-current">
+        ${word.relation || '<em>no relation</em>'}
+        <span>${RELATION_LABELS[base] || ''}</span>
+      </p>
+      <div class="relation-grid">${labelButtons}</div>
+      <div class="relation-suffixes">${suffixToggles}</div>
+      <button type="button" class="relation-clear">Clear relation</button>
+    </div>
+  `;
+
+  toolBody.querySelectorAll('.relation-label').forEach(btn => {
+    btn.addEventListener('click', () => {
+      setWordRelation(word, composeRelation(btn.dataset.label, suffixes, rest));
+    });
+  });
+
+  toolBody.querySelectorAll('.relation-suffix input').forEach(cb => {
+    cb.addEventListener('change', () => {
+      setWordRelation(word, composeRelation(base, { ...suffixes, [cb.dataset.suffix]: cb.checked }, rest));
+    });
+  });
+
+  toolBody.querySelector('.relation-clear')?.addEventListener('click', () => {
+    setWordRelation(word, '');
+  });
+}
@@ -0,0 +1,129 @@
+import { createNodeHierarchy } from './treeRender.js';
+import { placeInWordOrder } from './wordOrder.js';
+import { nonProjectiveEdges } from '../validation/projectivity.js';
+
+const STORAGE_KEY = 'arethusa.treeLayout';
+
+const ARC_BASE = 18;     // height of the arc between neighbouring words
+const ARC_SLOPE = 0.3;   // extra height per pixel of distance
+const ARC_OFFSET = 12;   // arcs start this far above the baseline
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupArcView
+ * --------------------------------------------------------------------------
+ * Wires the #arc-view toggle in the tree options. When on, the sentence is
+ * drawn as an arc diagram (words on one line in reading order, dependency
+ * arcs above them) instead of the top-down tree. Everything else — clicks,
+ * dragging, hover sync, morph selection, highlights — works the same, since
+ * createNodeHierarchy() still draws one `.node` per word.
+ * The setting is remembered between sessions.
+ *
+ * @returns {void}
+ */
+export function setupArcView() {
+  const button = document.getElementById('arc-view');
+  window.isArcView = localStorage.getItem(STORAGE_KEY) === 'arcs';
+  if (!button) return;
+
+  const sync = () => {
+    button.classList.toggle('active', window.isArcView);
+    button.title = window.isArcView ? 'Show as tree' : 'Show as arc diagram';
+  };
+
+  button.addEventListener('click', () => {
+    window.isArcView = !window.isArcView;
+    localStorage.setItem(STORAGE_KEY, window.isArcView ? 'arcs' : 'tree');
+    sync();
+    if (window.treebankData) createNodeHierarchy(window.currentIndex);
+  });
+
+  sync();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: layoutArcs
+ * --------------------------------------------------------------------------
+ * Replaces the tree coordinates of a hierarchy with a linear layout: ROOT
+ * first, then the words in reading order (elliptic nodes after the token
+ * they follow), all on y = 0. Word spacing follows window.verticalSpacing
+ * so Compact / Expand still apply.
+ *
+ * @param {Object} rootHierarchy - Hierarchy from buildHierarchy().
+ * @param {Array<Object>} idParentPairs - Rows from prepareSentenceData().
+ * @returns {void}
+ */
+export function layoutArcs(rootHierarchy, idParentPairs) {
+  placeInWordOrder(rootHierarchy, idParentPairs, { rootFirst: true });
+  rootHierarchy.each(d => { d.y = 0; });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: drawArcs
+ * --------------------------------------------------------------------------
+ * Draws each dependency as an arc above the line, from the head to the
+ * dependent (arrowhead at the dependent), with the relation label at the
+ * top. Longer arcs are taller, so nested dependencies stay readable.
+ * Clicking a label opens the Relation editor, as in the tree; crossing
+ * (non-projective) arcs are marked as in drawLinks().
+ *
+ * @param {Object} gx - D3 selection of the inner SVG group.
+ * @param {Object} rootHierarchy - Hierarchy laid out by layoutArcs().
+ * @param {Array<Object>} idParentPairs - Rows from prepareSentenceData().
+ * @returns {void}
+ */
+export function drawArcs(gx, rootHierarchy, idParentPairs) {
+  const crossing = nonProjectiveEdges(idParentPairs);
+
+  gx.append('defs')
+    .append('marker')
+    .attr('id', 'arc-arrow')
+    .attr('viewBox', '0 0 10 10')
+    .attr('refX', 9)
+    .attr('refY', 5)
+    .attr('markerWidth', 6)
+    .attr('markerHeight', 6)
+    .attr('orient', 'auto')
+    .append('path')
+    .attr('d', 'M0,0 L10,5 L0,10 z')
+    .attr('fill', '#999');
+
+  gx.selectAll('.link-group')
+    .data(rootHierarchy.links())
+    .join('g')
+    .attr('class', 'link-group arc')
+    .classed('non-projective', d => crossing.has(d.target.data.id))
+    .each(function (d) {
+      const group = d3.select(this);
+      const x1 = d.source.x;
+      const x2 = d.target.x;
+      const y = -ARC_OFFSET;
+      const h = ARC_BASE + Math.abs(x2 - x1) * ARC_SLOPE;
+
+      group.append('path')
+        .attr('class', 'arc-path')
+        .attr('fill', 'none')
+        .attr('stroke', '#999')
+        .attr('stroke-width', 1.2)
+        .attr('marker-end', 'url(#arc-arrow)')
+        .attr('d', `M${x1},${y} C${x1},${y - h} ${x2},${y - h} ${x2},${y}`);
+
+      // A cubic with both control points at height h peaks at 3/4 h
+      group.append('text')
+        .attr('class', 'link-label')
+        .attr('x', (x1 + x2) / 2)
+        .attr('y', y - h * 0.75 - 4)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '12px')
+        .attr('fill', '#333')
+        .text(d.target?.data?.relation || '')
+        .on('click', (event) => {
+          event.stopPropagation();
+          if (typeof window.openRelationEditor === 'function') {
+            window.openRelationEditor(d.target.data.id);
+          }
+        });
+    });
+}
@@ -0,0 +1,234 @@
+import { createNodeHierarchy } from './treeRender.js';
+
+/**
+ * =============================================================================
+ * COLLAPSIBLE SUBTREES
+ * =============================================================================
+ * Any node with dependents can be collapsed to hide its subtree. The state
+ * is kept per sentence (sentence id → Set of collapsed word ids), so it
+ * survives redraws (createNodeHierarchy, compactTree, expandTree) and
+ * navigating away and back. Opening another file clears it. Edits that
+ * renumber sentences or words are run through keepCollapsedState() (by the
+ * undo history), which moves or drops the state to match.
+ *
+ * buildHierarchy() applies the state before layout; drawNodes() calls
+ * decorateCollapsible() to add the toggles and the badges.
+ * =============================================================================
+ */
+
+const PREVIEW_LENGTH = 24;
+const collapsedBySentence = new Map();
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: collapsedIds
+ * --------------------------------------------------------------------------
+ * The collapsed word ids of a sentence.
+ *
+ * @param {string|number} sentenceId - Sentence id.
+ * @returns {Set<string>} Live set (empty if nothing is collapsed).
+ */
+export function collapsedIds(sentenceId) {
+  return collapsedBySentence.get(String(sentenceId)) || new Set();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: toggleCollapsed
+ * --------------------------------------------------------------------------
+ * Collapses or expands one node of the displayed sentence and redraws the
+ * tree, keeping the current zoom.
+ *
+ * @param {string} wordId - Word whose subtree is toggled.
+ * @returns {void}
+ */
+export function toggleCollapsed(wordId) {
+  const key = String(window.currentIndex);
+  const ids = collapsedBySentence.get(key) || new Set();
+  if (ids.has(wordId)) ids.delete(wordId);
+  else ids.add(wordId);
+  if (ids.size) collapsedBySentence.set(key, ids);
+  else collapsedBySentence.delete(key);
+
+  const prevTransform = window.svg ? d3.zoomTransform(window.svg.node()) : null;
+  createNodeHierarchy(window.currentIndex);
+  if (window.svg && window.zoom && prevTransform) {
+    window.svg.call(window.zoom.transform, prevTransform);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: revealWord
+ * --------------------------------------------------------------------------
+ * Expands every collapsed ancestor of a word, so that it is drawn the next
+ * time its sentence is rendered (e.g. when jumping to a search hit).
+ *
+ * @param {string|number} sentenceId - Sentence id.
+ * @param {string} wordId - Word to reveal.
+ * @returns {void}
+ */
+export function revealWord(sentenceId, wordId) {
+  const ids = collapsedBySentence.get(String(sentenceId));
+  const sentence = window.treebankData?.find(s => s.id === String(sentenceId));
+  if (!ids || !sentence) return;
+
+  const seen = new Set();
+  let word = sentence.words.find(w => w.id === String(wordId));
+  while (word && !seen.has(word.id)) {
+    seen.add(word.id);
+    word = sentence.words.find(w => w.id === String(word.head));
+    if (word) ids.delete(word.id);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: clearCollapsed
+ * --------------------------------------------------------------------------
+ * Forgets the collapse state of every sentence.
+ *
+ * @returns {void}
+ */
+export function clearCollapsed() {
+  collapsedBySentence.clear();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: keepCollapsedState
+ * --------------------------------------------------------------------------
+ * Runs an edit and re-keys the collapse state afterwards. A sentence's
+ * state follows it when its words (ids and forms) are unchanged, even if
+ * its sentence id changed (sentence split/merge, undo/redo of one); the
+ * state of a sentence whose words were renumbered or changed (token
+ * split/merge, elliptic nodes, XML edits) is dropped, since its word ids
+ * no longer name the same words.
+ *
+ * @param {Function} mutate - Synchronous function performing the edit.
+ * @returns {*} Whatever `mutate` returns.
+ */
+export function keepCollapsedState(mutate) {
+  if (!collapsedBySentence.size) return mutate();
+
+  const bySignature = new Map();
+  (window.treebankData || []).forEach(sentence => {
+    const ids = collapsedBySentence.get(String(sentence.id));
+    if (ids && !bySignature.has(signature(sentence))) bySignature.set(signature(sentence), ids);
+  });
+
+  const result = mutate();
+
+  collapsedBySentence.clear();
+  (window.treebankData || []).forEach(sentence => {
+    const key = signature(sentence);
+    if (!bySignature.has(key)) return;
+    collapsedBySentence.set(String(sentence.id), bySignature.get(key));
+    bySignature.delete(key);
+  });
+  return result;
+}
+
+// Word ids and forms of a sentence, in order
+function signature(sentence) {
+  return (sentence.words || []).map(w => `${w.id}\u0001${w.form}`).join('\u0002');
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: collapseHierarchy
+ * --------------------------------------------------------------------------
+ * Hides the children of collapsed nodes before layout. Each collapsed node
+ * gets `collapsed`, `hiddenCount` (number of hidden descendants) and
+ * `preview` (text of its span in word order, elliptic nodes left out).
+ *
+ * @param {Object} root - D3 hierarchy (not yet laid out).
+ * @param {Set<string>} ids - Collapsed word ids.
+ * @returns {void}
+ */
+export function collapseHierarchy(root, ids) {
+  if (!ids.size) return;
+
+  // eachBefore visits a node before reading its children, so nodes inside
+  // a collapsed subtree are never reached
+  root.eachBefore(d => {
+    if (!d.parent || !d.children || !ids.has(d.data.id)) return;
+
+    const span = d.descendants();
+    d.collapsed = true;
+    d.hiddenCount = span.length - 1;
+    d.preview = span
+      .filter(n => !n.data.artificial)
+      .sort((a, b) => Number(a.data.id) - Number(b.data.id))
+      .map(n => n.data.form)
+      .join(' ');
+    d.children = undefined;
+  });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: decorateCollapsible
+ * --------------------------------------------------------------------------
+ * Adds a −/+ toggle next to every node that has (or hides) dependents, and
+ * a badge under collapsed nodes with the hidden count and a text preview
+ * (clicking the badge expands the node too).
+ * Must run after the `.text-bg` rects are measured.
+ *
+ * @param {Object} nodes - D3 selection of the `.node` groups.
+ * @returns {void}
+ */
+export function decorateCollapsible(nodes) {
+  const collapsible = nodes.filter(d => d.parent && (d.children || d.collapsed));
+
+  collapsible.each(function (d) {
+    const node = d3.select(this);
+    const bg = node.select('.text-bg');
+    const right = Number(bg.attr('x')) + Number(bg.attr('width'));
+
+    const toggle = node.append('g')
+      .attr('class', 'collapse-toggle')
+      .attr('transform', `translate(${right + 8},0)`)
+      .on('click', (event) => {
+        event.stopPropagation(); // not a head assignment / morph click
+        toggleCollapsed(d.data.id);
+      });
+
+    toggle.append('title').text(d.collapsed ? 'Expand subtree' : 'Collapse subtree');
+    toggle.append('circle').attr('r', 6);
+    toggle.append('text')
+      .attr('dy', 3.5)
+      .attr('text-anchor', 'middle')
+      .text(d.collapsed ? '+' : '−');
+  });
+
+  collapsible.filter(d => d.collapsed).each(function (d) {
+    const node = d3.select(this).classed('collapsed', true);
+    const preview = d.preview.length > PREVIEW_LENGTH
+      ? `${d.preview.slice(0, PREVIEW_LENGTH - 1)}…`
+      : d.preview;
+
+    const badge = node.append('g')
+      .attr('class', 'collapse-badge')
+      .attr('transform', 'translate(0,24)')
+      .on('click', (event) => {
+        event.stopPropagation();
+        toggleCollapsed(d.data.id);
+      });
+
+    badge.append('title').text(`${d.hiddenCount} hidden: ${d.preview}`);
+    const text = badge.append('text')
+      .attr('dy', 4)
+      .attr('text-anchor', 'middle')
+      .text(`+${d.hiddenCount} · ${preview}`);
+
+    const box = text.node().getBBox();
+    badge.insert('rect', 'text')
+      .attr('x', box.x - 5)
+      .attr('y', box.y - 2)
+      .attr('width', box.width + 10)
+      .attr('height', box.height + 4)
+      .attr('rx', 8)
+      .attr('ry', 8);
+  });
+}
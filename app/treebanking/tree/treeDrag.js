@@ -0,0 +1,107 @@
+import { createsCycle } from './treeUtils.js';
+import { setWordHead, resetSelection } from '../ui/sentenceDisplay.js';
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: enableHeadDragging
+ * --------------------------------------------------------------------------
+ * Lets the user drag a node onto its new head. While dragging, a rubber-band
+ * line follows the pointer, nodes that can become the head are lit up and
+ * nodes that would create a cycle (the word itself and its descendants) are
+ * greyed out. Dropping on ROOT or on empty space attaches the word to the
+ * root; dropping on a greyed-out node is handled like any other cycle
+ * (refused with an explanation, or a confirmed swap — see headCycle.js).
+ *
+ * A press without movement is still a plain click, so two-click head
+ * assignment and the tool click handlers keep working.
+ *
+ * @param {Object} nodes - D3 selection of the `.node` groups.
+ * @returns {void}
+ */
+export function enableHeadDragging(nodes) {
+  let band = null; // rubber-band line, created on the first move
+
+  const drag = d3.drag()
+    .filter((event, d) =>
+      !event.ctrlKey && !event.button &&
+      d.data.id !== 'root' &&
+      !event.target.closest?.('.collapse-toggle, .collapse-badge') &&
+      !window.isReadOnly && !window.isMorphActive && !window.isRelationActive)
+    .clickDistance(4)
+    .on('start', () => {
+      band = null;
+    })
+    .on('drag', function (event, d) {
+      if (!band) {
+        // First real move: cancel any half-done click selection, mark targets
+        resetSelection();
+        d3.selectAll('.node.selected').classed('selected', false);
+        document.querySelectorAll('.token.selected').forEach(t => t.classList.remove('selected'));
+
+        const words = currentWords();
+        const invalid = new Set(words
+          .filter(w => createsCycle(words, d.data.id, w.id))
+          .map(w => w.id));
+
+        d3.select(this).classed('drag-source', true);
+        d3.selectAll('.node')
+          .classed('drop-valid', n => n.data.id !== d.data.id && !invalid.has(n.data.id))
+          .classed('drop-invalid', n => n.data.id !== d.data.id && invalid.has(n.data.id));
+
+        band = d3.select(this.parentNode)
+          .insert('line', '.node')
+          .attr('class', 'rubber-band')
+          .attr('x1', d.x)
+          .attr('y1', d.y);
+      }
+
+      band.attr('x2', event.x).attr('y2', event.y);
+
+      const target = nodeUnderPointer(event.sourceEvent);
+      d3.selectAll('.node').classed('drop-hover', n => n === target && n !== d);
+    })
+    .on('end', function (event, d) {
+      if (!band) return; // a click, handled by the click listeners
+
+      band.remove();
+      band = null;
+      d3.selectAll('.node').classed('drag-source drop-valid drop-invalid drop-hover', false);
+
+      const target = nodeUnderPointer(event.sourceEvent);
+      if (target === d) return;
+
+      // A greyed-out target is passed on too: setWordHead explains the cycle
+      const newHeadId = (!target || target.data.id === 'root') ? '0' : target.data.id;
+
+      const word = currentWords().find(w => w.id === d.data.id);
+      if (!word || String(word.head) === newHeadId) return;
+
+      // keep the current zoom, as the click handlers do
+      const prevTransform = window.svg ? d3.zoomTransform(window.svg.node()) : null;
+      setWordHead(d.data.id, newHeadId);
+      if (window.svg && window.zoom && prevTransform) {
+        window.svg.call(window.zoom.transform, prevTransform);
+      }
+    });
+
+  nodes.call(drag);
+}
+
+/**
+ * Words of the sentence currently on screen.
+ */
+function currentWords() {
+  const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+  return sentence?.words || [];
+}
+
+/**
+ * Datum of the tree node under the pointer (mouse or touch), if any.
+ */
+function nodeUnderPointer(sourceEvent) {
+  const point = sourceEvent?.changedTouches?.[0] || sourceEvent;
+  if (!point || point.clientX == null) return null;
+  const el = document.elementFromPoint(point.clientX, point.clientY);
+  const node = el?.closest?.('.node');
+  return node ? d3.select(node).datum() : null;
+}
@@ -1,5 +1,10 @@
 import { colorForPOS, fitTreeToView } from './treeUtils.js';
 import {handleWordClick} from '../ui/sentenceDisplay.js'
+import { enableHeadDragging } from './treeDrag.js';
+import { collapsedIds, collapseHierarchy, decorateCollapsible } from './treeCollapse.js';
+import { layoutArcs, drawArcs } from './arcView.js';
+import { placeInWordOrder } from './wordOrder.js';
+import { nonProjectiveEdges } from '../validation/projectivity.js';
 window.selectedWordId = null; // keeps track of first clicked node
 
 /**
@@ -29,7 +34,14 @@ export function createNodeHierarchy(sentenceId) {
   window.idParentPairs = idParentPairs; // global variable for idParentPairs
 
   // Generate a hierarchical layout from the flat data
-  const rootHierarchy = buildHierarchy(idParentPairs);
+  // (collapsed subtrees of this sentence are left out of the layout)
+  const arcs = Boolean(window.isArcView);
+  const rootHierarchy = buildHierarchy(idParentPairs, arcs ? new Set() : collapsedIds(sentenceId));
+
+  // Arc diagram: same nodes, laid out on one line in reading order.
+  // Word-order tree: same levels, but x follows the text.
+  if (arcs) layoutArcs(rootHierarchy, idParentPairs);
+  else if (window.isWordOrderLayout) placeInWordOrder(rootHierarchy, idParentPairs);
 
   // Make the current D3 root hierarchy globally accessible
   window.root = rootHierarchy;
@@ -58,15 +70,16 @@ export function createNodeHierarchy(sentenceId) {
   window.gx = g.append('g');
 
   // Draw visual elements (edges and nodes)
-  drawLinks(gx, rootHierarchy, idParentPairs);
-  drawNodes(gx, rootHierarchy);
+  if (arcs) drawArcs(gx, rootHierarchy, idParentPairs);
+  else drawLinks(gx, rootHierarchy, idParentPairs);
+  drawNodes(gx, rootHierarchy, { collapsible: !arcs });
 
   const nodes = document.querySelectorAll(".node");
   nodes.forEach(node =>{
-    node.addEventListener("click", () => {
+    node.addEventListener("click", (event) => {
       // save current zoom transform before changing heads
       const prevTransform = window.svg ? d3.zoomTransform(window.svg.node()) : null;
-      handleWordClick(node.id);
+      handleWordClick(node.id, event);
       // restore the previous zoom transform after changing heads
       if (window.svg && window.zoom && prevTransform) {
         window.svg.call(window.zoom.transform, prevTransform);
@@ -74,6 +87,9 @@ export function createNodeHierarchy(sentenceId) {
     });
   })
 
+  // Drag a node onto its new head (click-to-reattach still works)
+  enableHeadDragging(gx.selectAll('.node'));
+
   // Enable zooming and panning with safe scale limits
   window.zoom = d3.zoom()
     .scaleExtent([0.1, 3]) // prevent over-zooming or infinite scroll
@@ -84,6 +100,21 @@ export function createNodeHierarchy(sentenceId) {
 
   // Adjust zoom level and centering to fit tree neatly in view
   fitTreeToView(svg, gx, container, zoom, margin);
+
+  // Re-apply query result highlights to the freshly drawn nodes
+  if (typeof window.highlightQueryMatches === 'function') {
+    window.highlightQueryMatches();
+  }
+
+  // Same for agreement errors, when the check is switched on
+  if (typeof window.highlightAgreement === 'function') {
+    window.highlightAgreement();
+  }
+
+  // Keep the list of crossing edges in step with the tree, if it is open
+  if (typeof window.refreshProjectivity === 'function') {
+    window.refreshProjectivity();
+  }
 }
 
 /**
@@ -103,7 +134,9 @@ function prepareSentenceData(sentence) {
     parentId: (w.head === 0 || w.head === '0' || w.head === null) ? 'root' : String(w.head),
     form: w.form || w.word || '(blank)',
     relation: w.relation || '',
-    postag: w._displayPostag || w.postag || ''  
+    postag: w._displayPostag || w.postag || '',
+    artificial: Boolean(w.artificial),
+    insertion_id: w.insertion_id || ''
   }));
 
   // Add a synthetic root node that acts as a parent for headless nodes
@@ -118,9 +151,10 @@ function prepareSentenceData(sentence) {
  * Builds a hierarchical D3 layout with dynamic spacing based on word length.
  *
  * @param {Array<Object>} idParentPairs - Flat rows from prepareSentenceData().
+ * @param {Set<string>} [collapsed] - Ids of nodes whose subtrees are hidden.
  * @returns {Object} D3 root hierarchy with (x, y) coordinates for each node.
  */
-export function buildHierarchy(idParentPairs) {
+export function buildHierarchy(idParentPairs, collapsed = new Set()) {
   // Use D3's stratify to convert flat rows into a tree-like hierarchy
   const root = d3.stratify()
     .id(d => d.id)
@@ -133,9 +167,13 @@ export function buildHierarchy(idParentPairs) {
       d.data.form = row.form;
       d.data.relation = row.relation;
       d.data.postag = row.postag || ''
+      d.data.artificial = row.artificial
     }
   });
 
+  // Hide collapsed subtrees so the layout only spaces what is shown
+  collapseHierarchy(root, collapsed);
+
   // Define spacing logic
   const yGap = 55;       // vertical distance between layers
   const baseX = 40;      // width between branches
@@ -170,13 +208,15 @@ export function buildHierarchy(idParentPairs) {
  * Adds a rectangle behind text for background highlighting
  * @param {Object} gx - D3 selection of inner SVG group.
  * @param {Object} rootHierarchy - Root node with x/y layout data.
+ * @param {Object} [options]
+ * @param {boolean} [options.collapsible=true] - Add collapse toggles and badges.
  * @returns {void} Runs synchronously to render all node text labels on the tree.
  */
-export function drawNodes(gx, rootHierarchy) {
+export function drawNodes(gx, rootHierarchy, { collapsible = true } = {}) {
   const nodes = gx.selectAll('.node')
     .data(rootHierarchy.descendants())
     .join('g')
-    .attr('class', 'node')
+    .attr('class', d => d.data.artificial ? 'node artificial' : 'node')
     .attr("id", d => d.data.n || d.data.id || d.data.word_id)
     .attr('data-pos', d => (d.data.postag && d.data.postag[0]) ? d.data.postag[0] : '')
     .attr('transform', d => `translate(${d.x},${d.y})`);
@@ -204,6 +244,9 @@ export function drawNodes(gx, rootHierarchy) {
         .attr('class', 'text-bg');
     });
 
+  // Collapse/expand toggles, and badges on collapsed nodes
+  if (collapsible) decorateCollapsible(nodes);
+
   // --- Enable clicking nodes to show morphological info ---
   nodes.on("click", function (event, d) {
     if (!window.isMorphActive) return;
@@ -236,6 +279,8 @@ export function drawNodes(gx, rootHierarchy) {
  * Draws dependency edges as smooth cubic Bézier curves with a small visual gap
  * around each relation label. The curve is mathematically split so the path
  * remains continuous and smooth — no visual loops or overlaps.
+ * Edges that cross another edge (non-projective) get the `non-projective`
+ * class.
  *
  * @param {Object} gx - D3 selection of the inner SVG group.
  * @param {Object} rootHierarchy - Root node with computed coordinates.
@@ -245,11 +290,13 @@ export function drawNodes(gx, rootHierarchy) {
 export function drawLinks(gx, rootHierarchy, idParentPairs) {
   const tLabel = 0.75;  // Where label sits along the curve
   const gapT = 0.15;   // Fraction of curve length to remove around label (≈ small gap)
+  const crossing = nonProjectiveEdges(idParentPairs);
 
   gx.selectAll(".link")
     .data(rootHierarchy.links())
     .join("g")
     .attr("class", "link-group")
+    .classed("non-projective", d => crossing.has(d.target.data.id))
     .each(function (d) {
       const group = d3.select(this);
 
@@ -340,6 +387,13 @@ export function drawLinks(gx, rootHierarchy, idParentPairs) {
         .attr("text-anchor", "middle")
         .attr("font-size", "12px")
         .attr("fill", "#333")
-        .text(d => d.target?.data?.relation || "");
+        .text(d => d.target?.data?.relation || "")
+        // Clicking a label opens the Relation editor for the dependent word
+        .on("click", (event) => {
+          event.stopPropagation();
+          if (typeof window.openRelationEditor === 'function') {
+            window.openRelationEditor(d.target.data.id);
+          }
+        });
     });
 }
\ No newline at end of file
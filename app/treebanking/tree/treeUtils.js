@@ -247,6 +247,31 @@ export function createsCycle(words, dependentId, newHeadId) {
   return false;
 }
 
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: cyclePath
+ * --------------------------------------------------------------------------
+ * The chain of heads from the proposed new head up to the dependent, i.e.
+ * why attaching the dependent there would create a cycle.
+ *
+ * @param {Array<Object>} words - Words of the sentence.
+ * @param {string} dependentId - Word that would get the new head.
+ * @param {string} newHeadId - Proposed head.
+ * @returns {Array<Object>} Words from the new head to the dependent, or [] if there is no cycle.
+ */
+export function cyclePath(words, dependentId, newHeadId) {
+  const path = [];
+  let current = newHeadId;
+  while (current && current !== "0" && current !== "root") {
+    const word = words.find(w => w.id === current);
+    if (!word || path.includes(word)) return [];
+    path.push(word);
+    if (current === dependentId) return path;
+    current = word.head;
+  }
+  return [];
+}
+
 // Make tree control functions accessible globally (used by toolbar buttons)
 window.compactTree = compactTree;
 window.expandTree = expandTree;
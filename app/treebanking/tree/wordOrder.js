@@ -0,0 +1,75 @@
+import { tokenOrder } from '../ui/tokenEdit.js';
+import { createNodeHierarchy } from './treeRender.js';
+
+const STORAGE_KEY = 'arethusa.wordOrderLayout';
+
+const WORD_GAP = 28;     // horizontal space between words (scaled by compact/expand)
+const CHAR_WIDTH = 8;    // rough width of one character at 14px
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupWordOrderLayout
+ * --------------------------------------------------------------------------
+ * Wires the #word-order toggle in the tree options. When on, the tree keeps
+ * its levels but every word's x position follows its place in the sentence,
+ * so the tree reads left to right like the text (as in Arethusa).
+ * The setting is remembered between sessions.
+ *
+ * @returns {void}
+ */
+export function setupWordOrderLayout() {
+  const button = document.getElementById('word-order');
+  window.isWordOrderLayout = localStorage.getItem(STORAGE_KEY) === 'on';
+  if (!button) return;
+
+  const sync = () => {
+    button.classList.toggle('active', window.isWordOrderLayout);
+    button.title = window.isWordOrderLayout
+      ? 'Lay out the tree by structure'
+      : 'Lay out the tree in word order';
+  };
+
+  button.addEventListener('click', () => {
+    window.isWordOrderLayout = !window.isWordOrderLayout;
+    localStorage.setItem(STORAGE_KEY, window.isWordOrderLayout ? 'on' : 'off');
+    sync();
+    if (window.treebankData) createNodeHierarchy(window.currentIndex);
+  });
+
+  sync();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: placeInWordOrder
+ * --------------------------------------------------------------------------
+ * Sets the x position of every drawn node from its place in the sentence
+ * (elliptic nodes right after the token they follow), leaving y alone.
+ * Words are spaced by their length; the gap follows window.verticalSpacing
+ * so Compact / Expand apply as in the d3.tree() layout. Nodes hidden in a
+ * collapsed subtree take no room.
+ *
+ * @param {Object} rootHierarchy - Laid-out hierarchy from buildHierarchy().
+ * @param {Array<Object>} idParentPairs - Rows from prepareSentenceData().
+ * @param {Object} [options]
+ * @param {boolean} [options.rootFirst=false] - Put ROOT before the first
+ *   word (arc diagram) instead of centring it above the sentence.
+ * @returns {void}
+ */
+export function placeInWordOrder(rootHierarchy, idParentPairs, { rootFirst = false } = {}) {
+  const byId = new Map(rootHierarchy.descendants().map(d => [d.data.id, d]));
+  const rows = tokenOrder(idParentPairs.filter(p => p.id !== 'root'));
+  const gap = WORD_GAP * (window.verticalSpacing || 1);
+
+  let cursor = 0;
+  const place = (node) => {
+    if (!node) return;
+    const width = (node.data.form || '').length * CHAR_WIDTH;
+    node.x = cursor + width / 2;
+    cursor += width + gap;
+  };
+
+  if (rootFirst) place(rootHierarchy);
+  rows.forEach(row => place(byId.get(row.id)));
+  if (!rootFirst) rootHierarchy.x = (cursor - gap) / 2;
+}
@@ -0,0 +1,123 @@
+import { cyclePath } from '../tree/treeUtils.js';
+import { escapeXML as escapeHTML } from '../xml/serializer.js';
+
+const STORAGE_KEY = 'arethusa.cycleMode';
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupCyclePreference
+ * --------------------------------------------------------------------------
+ * Wires the #cycle-swap toggle in the tree options. It decides what happens
+ * when a new head would create a cycle (the new head already depends on the
+ * word being attached):
+ *
+ *   • off (default) — the change is refused and the cycle is explained.
+ *   • on            — the new head is raised to the word's old head, after a
+ *                     confirmation naming both words that move.
+ *
+ * The setting is remembered between sessions.
+ *
+ * @returns {void}
+ */
+export function setupCyclePreference() {
+  const button = document.getElementById('cycle-swap');
+  if (!button) return;
+
+  const sync = () => {
+    const swap = cycleMode() === 'swap';
+    button.classList.toggle('active', swap);
+    button.title = swap
+      ? 'Cycles: swap heads after confirming (click to refuse instead)'
+      : 'Cycles: refuse (click to allow swapping heads)';
+  };
+
+  button.addEventListener('click', () => {
+    localStorage.setItem(STORAGE_KEY, cycleMode() === 'swap' ? 'refuse' : 'swap');
+    hideCycleNotice();
+    sync();
+  });
+
+  sync();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: cycleMode
+ * --------------------------------------------------------------------------
+ * The stored cycle preference.
+ *
+ * @returns {'refuse'|'swap'}
+ */
+export function cycleMode() {
+  return localStorage.getItem(STORAGE_KEY) === 'swap' ? 'swap' : 'refuse';
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: handleHeadCycle
+ * --------------------------------------------------------------------------
+ * Shows the inline notice for a head change that would create a cycle:
+ * an explanation of the cycle path, plus — when swapping is allowed — a
+ * confirmation naming both words that would move. Nothing changes until
+ * the user confirms.
+ *
+ * @param {Array<Object>} words - Words of the current sentence.
+ * @param {string} dependentId - Word the user tried to attach.
+ * @param {string} newHeadId - Head the user chose.
+ * @param {Function} swap - Performs the swap; called on confirmation.
+ * @returns {void}
+ */
+export function handleHeadCycle(words, dependentId, newHeadId, swap) {
+  const notice = document.getElementById('cycle-notice');
+  const path = cyclePath(words, dependentId, newHeadId);
+  if (!notice || !path.length) return;
+
+  const dependent = path[path.length - 1];
+  const newHead = path[0];
+  const oldHead = words.find(w => w.id === String(dependent.head));
+  const chain = path.map(label).join(' → ');
+
+  let html = `<p>${label(dependent)} cannot depend on ${label(newHead)}: `
+    + `${label(newHead)} already depends on it (${chain}).</p>`;
+
+  if (cycleMode() === 'swap') {
+    html += `<p>Swap instead? ${label(newHead)} moves to `
+      + `${oldHead ? label(oldHead) : 'ROOT'}, and ${label(dependent)} `
+      + `moves to ${label(newHead)}.</p>`
+      + `<button type="button" class="cycle-confirm">Swap</button>`
+      + `<button type="button" class="cycle-cancel">Cancel</button>`;
+  } else {
+    html += `<button type="button" class="cycle-cancel">OK</button>`;
+  }
+
+  notice.innerHTML = html;
+  notice.hidden = false;
+
+  notice.querySelector('.cycle-confirm')?.addEventListener('click', () => {
+    hideCycleNotice();
+    swap();
+  });
+  notice.querySelector('.cycle-cancel').addEventListener('click', hideCycleNotice);
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: hideCycleNotice
+ * --------------------------------------------------------------------------
+ * Closes the cycle notice, if open.
+ *
+ * @returns {void}
+ */
+export function hideCycleNotice() {
+  const notice = document.getElementById('cycle-notice');
+  if (!notice) return;
+  notice.hidden = true;
+  notice.innerHTML = '';
+}
+
+/**
+ * A word as shown in the notice: its form in quotes, with its id.
+ */
+function label(word) {
+  return `“${escapeHTML(word.form || word.word || '')}” (${escapeHTML(String(word.id))})`;
+}
@@ -0,0 +1,393 @@
+import { refreshSentenceView } from './sentenceDisplay.js';
+import { refreshDocumentView } from './navigation.js';
+import { triggerAutoSave } from '../xml/saveXML.js';
+import { keepCollapsedState } from '../tree/treeCollapse.js';
+
+/**
+ * =============================================================================
+ * UNDO / REDO HISTORY
+ * =============================================================================
+ * Every annotation edit (head, relation, form creation/deletion/activation,
+ * document-form clears, ...) runs through recordChange(). It snapshots the
+ * words of the affected sentence(s) before and after the edit and pushes one
+ * command onto the history of the sentence being displayed.
+ *
+ * Each sentence has its own undo and redo stacks, so navigating with
+ * displaySentence() never mixes edits from different sentences.
+ *
+ * Edits that keep the sentence's words, attributes and extra children in
+ * place (head, relation, forms, ...) and edits that also touch other
+ * sentences (bulk propagation) are kept as a list of changed word fields;
+ * undo and redo only set back the fields that still hold the value they
+ * left, so later edits (from this or another sentence's history) are never
+ * overwritten. Edits that add, remove or reorder words keep snapshots.
+ *
+ * Words are compared by their annotation only: fields the Morph tool fills
+ * in with their defaults when a word is merely viewed (`_doc`, display
+ * values, an empty `forms` list) count as those defaults, and the display
+ * `source` is ignored.
+ *
+ * Edits that add, remove or renumber sentences go through
+ * recordDocumentChange() instead, which snapshots the whole document. Such
+ * a command is only undone (or redone) while the document's annotation is
+ * as it left it; once any sentence was edited after it, it is dropped with a
+ * notice rather than wiping out those edits.
+ * =============================================================================
+ */
+
+const MAX_HISTORY = 100;          // commands kept per sentence
+const stacks = new Map();         // sentenceId → { undo: [], redo: [] }
+
+function stackFor(sentenceId) {
+  const key = String(sentenceId);
+  if (!stacks.has(key)) stacks.set(key, { undo: [], redo: [] });
+  return stacks.get(key);
+}
+
+function findSentence(sentenceId) {
+  return window.treebankData?.find(s => s.id === `${sentenceId}`);
+}
+
+// Deep copy of the words (and the sentence attributes and extra children,
+// which the XML tool can edit) of each listed sentence
+function snapshot(sentenceIds) {
+  return sentenceIds.map(id => {
+    const sentence = findSentence(id);
+    return {
+      id,
+      words: structuredClone(sentence?.words || []),
+      attributes: structuredClone(sentence?.attributes || []),
+      extra: structuredClone(sentence?.extra || []),
+      extraAfter: structuredClone(sentence?.extraAfter || [])
+    };
+  });
+}
+
+function restore(snapshots) {
+  snapshots.forEach(({ id, words, attributes, extra, extraAfter }) => {
+    const sentence = findSentence(id);
+    if (!sentence) return;
+    sentence.words = structuredClone(words);
+    sentence.attributes = structuredClone(attributes);
+    sentence.extra = structuredClone(extra);
+    sentence.extraAfter = structuredClone(extraAfter);
+  });
+}
+
+// A word's annotation: the defaults ensureDocumentSnapshot() and
+// ensureFormsArray() would fill in are filled in, and the display `source`
+// (reset whenever a word is shown) is left out
+function annotation(word) {
+  const { source, ...fields } = word;
+  const doc = word._doc ?? { lemma: (word.lemma || '').trim(), postag: (word.postag || '').trim() };
+  return {
+    ...fields,
+    _doc: doc,
+    _displayLemma: word._displayLemma ?? doc.lemma,
+    _displayPostag: word._displayPostag ?? doc.postag,
+    forms: word.forms ?? [],
+    activeForm: word.activeForm ?? -1
+  };
+}
+
+// True if each sentence kept the same words (by id, in order), attributes
+// and extra children, so the edit can be kept as field changes
+function sameStructure(before, after) {
+  return before.every(({ words, attributes, extra, extraAfter }, i) =>
+    JSON.stringify(words.map(w => w.id)) === JSON.stringify(after[i].words.map(w => w.id)) &&
+    JSON.stringify(attributes) === JSON.stringify(after[i].attributes) &&
+    JSON.stringify(extra) === JSON.stringify(after[i].extra) &&
+    JSON.stringify(extraAfter) === JSON.stringify(after[i].extraAfter));
+}
+
+// Per word, the annotation fields that differ between two snapshots of the
+// same sentences (words matched by id)
+function fieldChanges(before, after) {
+  const changes = [];
+  before.forEach(({ id, words }, i) => {
+    const afterWords = new Map(after[i].words.map(w => [String(w.id), annotation(w)]));
+    words.forEach(word => {
+      const oldWord = annotation(word);
+      const newWord = afterWords.get(String(oldWord.id));
+      if (!newWord) return;
+      const fields = [...new Set([...Object.keys(oldWord), ...Object.keys(newWord)])]
+        .filter(field => JSON.stringify(oldWord[field]) !== JSON.stringify(newWord[field]));
+      if (!fields.length) return;
+      changes.push({
+        sentenceId: id,
+        wordId: String(oldWord.id),
+        before: Object.fromEntries(fields.map(f => [f, oldWord[f]])),
+        after: Object.fromEntries(fields.map(f => [f, newWord[f]]))
+      });
+    });
+  });
+  return changes;
+}
+
+// Sets each changed word's fields to their `to` values ('before' or
+// 'after'), but only if the word still holds the other values, i.e. was not
+// edited since; a word's fields go together (forms and activeForm, ...)
+function applyFieldChanges(changes, to) {
+  const from = to === 'before' ? 'after' : 'before';
+  changes.forEach(change => {
+    const word = findSentence(change.sentenceId)?.words.find(w => String(w.id) === change.wordId);
+    if (!word) return;
+    const fields = Object.keys(change[from]);
+    const current = annotation(word);
+    if (fields.some(f => JSON.stringify(current[f]) !== JSON.stringify(change[from][f]))) return;
+    fields.forEach(f => {
+      if (change[to][f] === undefined) delete word[f];
+      else word[f] = structuredClone(change[to][f]);
+    });
+  });
+}
+
+// Whole-document snapshots; the array is refilled in place so that
+// window.treebankData (and its `meta`) stays the same object
+function snapshotDocument() {
+  return structuredClone([...(window.treebankData || [])]);
+}
+
+function restoreDocument(sentences) {
+  window.treebankData.splice(0, window.treebankData.length, ...structuredClone(sentences));
+}
+
+// Makes a sentence the displayed one and `stack` its history (its id may
+// differ after sentences were renumbered)
+function showWithStack(sentenceId, stack) {
+  stacks.delete(String(window.currentIndex));
+  window.currentIndex = sentenceId;
+  stacks.set(String(sentenceId), stack);
+}
+
+// True if the document's annotation is still that of the given snapshot
+// (viewing a word in the Morph tool does not count as a change)
+function documentMatches(sentences) {
+  const annotated = list => JSON.stringify(list.map(({ words, ...sentence }) =>
+    ({ ...sentence, words: (words || []).map(annotation) })));
+  return annotated(window.treebankData || []) === annotated(sentences);
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: recordChange
+ * --------------------------------------------------------------------------
+ * Runs an edit and records it as a single undoable command on the current
+ * sentence's history. Nothing is recorded if the edit changed nothing.
+ *
+ * @param {string} label - Short description shown on the undo/redo buttons.
+ * @param {Function} mutate - Synchronous function performing the edit.
+ * @param {Array<string|number>} [sentenceIds] - Sentences the edit touches
+ *        (defaults to the displayed sentence).
+ * @returns {*} Whatever `mutate` returns.
+ */
+export function recordChange(label, mutate, sentenceIds = [window.currentIndex]) {
+  const ids = sentenceIds.map(String);
+  const before = snapshot(ids);
+  const result = keepCollapsedState(mutate);
+  const after = snapshot(ids);
+
+  const current = String(window.currentIndex);
+  let command = null;
+  if (ids.some(id => id !== current) || sameStructure(before, after)) {
+    const changes = fieldChanges(before, after);
+    if (changes.length) command = { label, scope: 'fields', changes };
+  } else {
+    command = { label, before, after };
+  }
+
+  if (command) {
+    const stack = stackFor(window.currentIndex);
+    stack.undo.push(command);
+    if (stack.undo.length > MAX_HISTORY) stack.undo.shift();
+    stack.redo = [];
+    updateHistoryButtons();
+  }
+  return result;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: recordDocumentChange
+ * --------------------------------------------------------------------------
+ * Like recordChange(), for edits that change the list of sentences (split,
+ * merge). The whole document is snapshotted. Because sentence ids shift,
+ * the histories of all other sentences are dropped; the command itself is
+ * kept on the displayed sentence, i.e. the sentence at the same position,
+ * which becomes window.currentIndex if renumbering gave it another id.
+ *
+ * @param {string} label - Short description shown on the undo/redo buttons.
+ * @param {Function} mutate - Synchronous function performing the edit.
+ * @returns {*} Whatever `mutate` returns.
+ */
+export function recordDocumentChange(label, mutate) {
+  const before = snapshotDocument();
+  const position = before.findIndex(s => s.id === `${window.currentIndex}`);
+  const result = keepCollapsedState(mutate);
+  const after = snapshotDocument();
+
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    const stack = stackFor(window.currentIndex);
+    const shown = { before: String(window.currentIndex), after: after[position]?.id ?? String(window.currentIndex) };
+    stacks.clear();
+    showWithStack(shown.after, stack);
+    stack.undo.push({ label, scope: 'document', before, after, shown });
+    if (stack.undo.length > MAX_HISTORY) stack.undo.shift();
+    stack.redo = [];
+    updateHistoryButtons();
+  }
+  return result;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: undo
+ * --------------------------------------------------------------------------
+ * Reverts the most recent edit of the displayed sentence.
+ *
+ * @returns {boolean} True if something was undone.
+ */
+export function undo() {
+  if (window.isReadOnly) return false;
+  const stack = stackFor(window.currentIndex);
+  const command = stack.undo.pop();
+  if (!command) return false;
+
+  if (command.scope === 'document' && !documentMatches(command.after)) {
+    // Older commands of this stack predate the split/merge as well
+    stack.undo = [];
+    updateHistoryButtons();
+    alert(`Cannot undo the ${command.label}: sentences were edited after it, and undoing it would discard those edits.`);
+    return false;
+  }
+
+  keepCollapsedState(() => {
+    if (command.scope === 'document') {
+      restoreDocument(command.before);
+      showWithStack(command.shown.before, stack);
+    } else if (command.scope === 'fields') {
+      applyFieldChanges(command.changes, 'before');
+    } else {
+      restore(command.before);
+    }
+  });
+  stack.redo.push(command);
+  afterHistoryStep(command);
+  return true;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: redo
+ * --------------------------------------------------------------------------
+ * Re-applies the most recently undone edit of the displayed sentence.
+ *
+ * @returns {boolean} True if something was redone.
+ */
+export function redo() {
+  if (window.isReadOnly) return false;
+  const stack = stackFor(window.currentIndex);
+  const command = stack.redo.pop();
+  if (!command) return false;
+
+  if (command.scope === 'document' && !documentMatches(command.before)) {
+    stack.redo = [];
+    updateHistoryButtons();
+    alert(`Cannot redo the ${command.label}: sentences were edited after it was undone.`);
+    return false;
+  }
+
+  keepCollapsedState(() => {
+    if (command.scope === 'document') {
+      restoreDocument(command.after);
+      showWithStack(command.shown.after, stack);
+    } else if (command.scope === 'fields') {
+      applyFieldChanges(command.changes, 'after');
+    } else {
+      restore(command.after);
+    }
+  });
+  stack.undo.push(command);
+  afterHistoryStep(command);
+  return true;
+}
+
+function afterHistoryStep(command) {
+  if (command.scope === 'document') {
+    refreshDocumentView(); // sentence count changed: rebuild selector and navigation
+  } else {
+    refreshSentenceView();
+  }
+  updateHistoryButtons();
+  triggerAutoSave();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: clearHistory
+ * --------------------------------------------------------------------------
+ * Drops every stack, e.g. when a different document is opened.
+ *
+ * @returns {void}
+ */
+export function clearHistory() {
+  stacks.clear();
+  updateHistoryButtons();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: updateHistoryButtons
+ * --------------------------------------------------------------------------
+ * Enables/disables #undo and #redo for the displayed sentence and names the
+ * edit they would revert or re-apply in their tooltip.
+ *
+ * @returns {void}
+ */
+export function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undo');
+  const redoBtn = document.getElementById('redo');
+  const stack = stackFor(window.currentIndex);
+  const nextUndo = stack.undo[stack.undo.length - 1];
+  const nextRedo = stack.redo[stack.redo.length - 1];
+
+  if (undoBtn) {
+    undoBtn.disabled = !nextUndo;
+    undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !nextRedo;
+    redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Redo';
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupHistoryControls
+ * --------------------------------------------------------------------------
+ * Wires the header #undo/#redo buttons and the Ctrl+Z / Ctrl+Shift+Z
+ * (and Ctrl+Y) shortcuts. Shortcuts are left alone while typing in a field
+ * so text inputs keep their native undo.
+ *
+ * @returns {void}
+ */
+export function setupHistoryControls() {
+  document.getElementById('undo')?.addEventListener('click', undo);
+  document.getElementById('redo')?.addEventListener('click', redo);
+
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
+
+  updateHistoryButtons();
+}
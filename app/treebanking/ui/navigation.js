@@ -4,14 +4,45 @@
  * --------------------------------------------------------------------------
  * Enables or disables "first/back/next/last" buttons as needed.
  *
- * @param {number} index - Current active sentence index.
+ * @param {string|number} index - Id of the displayed sentence.
  * @returns {void} Runs synchronously to update navigation button states.
  */
 export function updateNavigationButtons(index) {
-  document.getElementById('first').disabled = (index <= 1);
-  document.getElementById('back').disabled  = (index <= 1);
-  document.getElementById('next').disabled  = (index >= window.totalSentences);
-  document.getElementById('last').disabled  = (index >= window.totalSentences);
+  const position = sentencePosition(index);
+  document.getElementById('first').disabled = (position <= 0);
+  document.getElementById('back').disabled  = (position <= 0);
+  document.getElementById('next').disabled  = (position >= window.totalSentences - 1);
+  document.getElementById('last').disabled  = (position >= window.totalSentences - 1);
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: sentencePosition
+ * --------------------------------------------------------------------------
+ * Position of a sentence in the document. Navigation goes by position, as
+ * sentence ids need not start at 1 or be consecutive.
+ *
+ * @param {string|number} [sentenceId=window.currentIndex] - Sentence id.
+ * @returns {number} 0-based position, or -1 if there is no such sentence.
+ */
+export function sentencePosition(sentenceId = window.currentIndex) {
+  return (window.treebankData || []).findIndex(s => s.id === `${sentenceId}`);
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: displaySentenceAt
+ * --------------------------------------------------------------------------
+ * Displays the sentence at a position (clamped to the document), as used by
+ * the first/back/next/last buttons.
+ *
+ * @param {number} position - 0-based position in window.treebankData.
+ * @returns {Promise<void>}
+ */
+export async function displaySentenceAt(position) {
+  const data = window.treebankData;
+  if (!data?.length) return;
+  await displaySentence(data[Math.max(0, Math.min(position, data.length - 1))].id);
 }
 
 /**
@@ -41,12 +72,14 @@ export function setupSentenceSelector() {
   });
 
   // Default to currently displayed sentence
-  select.value = window.currentIndex || 1;
+  select.value = window.currentIndex ?? data[0].id;
 
   // On selection change, show the chosen sentence
+  // (bound once — the list is rebuilt whenever a new file is opened)
+  if (select.dataset.bound) return;
+  select.dataset.bound = 'true';
   select.addEventListener('change', (e) => {
-    const selectedId = parseInt(e.target.value);
-    displaySentence(selectedId);
+    displaySentence(e.target.value);
   });
 }
 
@@ -56,10 +89,27 @@ export function setupSentenceSelector() {
  * --------------------------------------------------------------------------
  * Keeps dropdown visually synchronized with the displayed sentence.
  *
- * @param {number} index - Current active sentence index.
+ * @param {string|number} index - Id of the displayed sentence.
  * @returns {void} Runs synchronously to keep dropdown in sync with the displayed sentence.
  */
 export function updateSentenceSelector(index) {
   const select = document.getElementById('sentence-select');
   if (select) select.value = index;
-}
\ No newline at end of file
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: refreshDocumentView
+ * --------------------------------------------------------------------------
+ * Re-syncs navigation after sentences were added, removed or renumbered:
+ * rebuilds the dropdown, updates window.totalSentences and redisplays a
+ * sentence (the nearest one if it no longer exists).
+ *
+ * @param {string|number} [index=window.currentIndex] - Id of the sentence to show.
+ * @returns {Promise<void>}
+ */
+export async function refreshDocumentView(index = window.currentIndex) {
+  window.totalSentences = window.treebankData?.length || 0;
+  setupSentenceSelector();
+  await displaySentence(index);
+}
@@ -0,0 +1,197 @@
+import { displaySentence } from './sentenceDisplay.js';
+import { focusOnNode } from '../tree/treeUtils.js';
+import { escapeXML as escapeHTML } from '../xml/serializer.js';
+import { normalizeForSearch } from '../query/queryEngine.js';
+import { revealWord } from '../tree/treeCollapse.js';
+
+const MAX_RESULTS = 200;  // keep the result list responsive on large documents
+const CONTEXT_WORDS = 3;  // words shown on each side of a hit
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: parseSearchQuery
+ * --------------------------------------------------------------------------
+ * Splits a query into terms. Each whitespace-separated term either targets
+ * a field with a prefix or matches form and lemma:
+ *
+ *   λογος            form or lemma contains "λογος" (accents ignored)
+ *   form:ανδρ        form contains "ανδρ"
+ *   lemma:ειμι       lemma contains "ειμι"
+ *   postag:n-p...    postag matches; "." or "?" match any character
+ *   rel:SBJ          relation starts with "SBJ" (SBJ, SBJ_CO, ...)
+ *
+ * All terms must match the same word.
+ *
+ * @param {string} query - Raw text from the search box.
+ * @returns {Array<{field: string, value: string}>} Parsed terms.
+ */
+export function parseSearchQuery(query = '') {
+  return query.trim().split(/\s+/).filter(Boolean).map(term => {
+    const m = term.match(/^(form|lemma|postag|pos|rel|relation):(.*)$/i);
+    if (!m) return { field: 'text', value: normalizeForSearch(term) };
+
+    const field = { pos: 'postag', rel: 'relation' }[m[1].toLowerCase()] || m[1].toLowerCase();
+    const value = (field === 'form' || field === 'lemma') ? normalizeForSearch(m[2]) : m[2];
+    return { field, value };
+  }).filter(t => t.value !== '');
+}
+
+function postagMatches(postag, pattern) {
+  if (pattern.length > postag.length) return false;
+  return [...pattern].every((ch, i) => ch === '.' || ch === '?' || ch === postag[i]);
+}
+
+function termMatches(word, { field, value }) {
+  const form = normalizeForSearch(word.form);
+  const lemma = normalizeForSearch(word._displayLemma ?? word.lemma);
+  switch (field) {
+    case 'form':     return form.includes(value);
+    case 'lemma':    return lemma.includes(value);
+    case 'postag':   return postagMatches(word._displayPostag ?? word.postag ?? '', value);
+    case 'relation': return (word.relation || '').toLowerCase().startsWith(value.toLowerCase());
+    default:         return form.includes(value) || lemma.includes(value);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: searchTreebank
+ * --------------------------------------------------------------------------
+ * Finds every word in the document matching all terms of a query.
+ *
+ * @param {Array<Object>} data - Parsed sentences (window.treebankData).
+ * @param {string} query - Query text (see parseSearchQuery).
+ * @returns {Array<{sentenceId: string, wordId: string, word: Object, index: number}>}
+ *          Hits in document order; `index` is the word's position in its sentence.
+ */
+export function searchTreebank(data, query) {
+  const terms = parseSearchQuery(query);
+  if (!terms.length || !Array.isArray(data)) return [];
+
+  const hits = [];
+  data.forEach(sentence => {
+    sentence.words.forEach((word, index) => {
+      if (terms.every(t => termMatches(word, t))) {
+        hits.push({ sentenceId: sentence.id, wordId: word.id, word, index });
+      }
+    });
+  });
+  return hits;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupSearch
+ * --------------------------------------------------------------------------
+ * Wires #doc-search and #search-btn. Results open in a list below the
+ * search box; clicking one shows its sentence and focuses the word's node.
+ *
+ * @returns {void} Runs synchronously to attach search listeners.
+ */
+export function setupSearch() {
+  const input = document.getElementById('doc-search');
+  const button = document.getElementById('search-btn');
+  const group = document.getElementById('search-group');
+  if (!input || !button || !group) return;
+
+  input.placeholder = 'Search words, lemma:, postag:, rel:…';
+
+  const results = document.createElement('div');
+  results.id = 'search-results';
+  results.hidden = true;
+  group.appendChild(results);
+
+  const run = () => {
+    const query = input.value.trim();
+    if (!query) {
+      results.hidden = true;
+      return;
+    }
+    renderResults(results, searchTreebank(window.treebankData, query));
+  };
+
+  button.addEventListener('click', run);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') run();
+    if (e.key === 'Escape') results.hidden = true;
+  });
+
+  // Close the list when clicking anywhere else
+  document.addEventListener('click', (e) => {
+    if (!group.contains(e.target)) results.hidden = true;
+  });
+
+  results.addEventListener('click', async (e) => {
+    const item = e.target.closest('.search-hit');
+    if (!item) return;
+    results.hidden = true;
+    await goToWord(item.dataset.sentenceId, item.dataset.wordId);
+  });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: goToWord
+ * --------------------------------------------------------------------------
+ * Displays a sentence, then centers and marks one of its words.
+ *
+ * @param {string} sentenceId - Sentence to show.
+ * @param {string} wordId - Word to focus.
+ * @returns {Promise<void>}
+ */
+export async function goToWord(sentenceId, wordId) {
+  revealWord(sentenceId, wordId); // expand collapsed subtrees hiding it
+  await displaySentence(sentenceId);
+
+  const node = window.root?.descendants().find(n => n.data.id === wordId);
+  if (node) focusOnNode(node);
+
+  document.querySelector(`.token[data-word-id='${wordId}']`)?.classList.add('search-match');
+  d3.select(`.node[id='${wordId}']`).classed('search-match', true);
+}
+
+function renderResults(results, hits) {
+  results.innerHTML = hitListHTML(hits);
+  results.hidden = false;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: hitListHTML
+ * --------------------------------------------------------------------------
+ * Builds the result list markup shared by the search box and the Query
+ * tool: a count, then one clickable `.search-hit` per word with its
+ * sentence-word id, surrounding words and current analysis.
+ *
+ * @param {Array<Object>} hits - Hits from searchTreebank() or runQuery().
+ * @returns {string} HTML markup.
+ */
+export function hitListHTML(hits) {
+  if (!hits.length) return `<p class="search-empty">No matches.</p>`;
+
+  const shown = hits.slice(0, MAX_RESULTS);
+  const header = hits.length > MAX_RESULTS
+    ? `${hits.length} matches (showing first ${MAX_RESULTS})`
+    : `${hits.length} match${hits.length === 1 ? '' : 'es'}`;
+
+  return `<p class="search-count">${header}</p>` + shown.map(hit => {
+    const sentence = window.treebankData.find(s => s.id === hit.sentenceId);
+    const words = sentence.words;
+    const before = words.slice(Math.max(0, hit.index - CONTEXT_WORDS), hit.index);
+    const after = words.slice(hit.index + 1, hit.index + 1 + CONTEXT_WORDS);
+    const context = [
+      hit.index > CONTEXT_WORDS ? '…' : '',
+      ...before.map(w => escapeHTML(w.form)),
+      `<mark>${escapeHTML(hit.word.form)}</mark>`,
+      ...after.map(w => escapeHTML(w.form)),
+      hit.index + 1 + CONTEXT_WORDS < words.length ? '…' : ''
+    ].filter(Boolean).join(' ');
+
+    return `
+      <div class="search-hit" data-sentence-id="${escapeHTML(hit.sentenceId)}" data-word-id="${escapeHTML(hit.wordId)}">
+        <span class="search-ref">${escapeHTML(hit.sentenceId)}-${escapeHTML(hit.wordId)}</span>
+        <span class="search-context">${context}</span>
+        <span class="search-analysis">${escapeHTML(hit.word._displayLemma ?? hit.word.lemma)} · ${escapeHTML(hit.word._displayPostag ?? hit.word.postag)} · ${escapeHTML(hit.word.relation)}</span>
+      </div>`;
+  }).join('');
+}
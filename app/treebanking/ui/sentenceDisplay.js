@@ -3,6 +3,9 @@ import { updateNavigationButtons, updateSentenceSelector } from './navigation.js
 import { getPOSChar, colorForPOS, createsCycle } from '../tree/treeUtils.js';
 import { createNodeHierarchy } from '../tree/treeRender.js';
 import { triggerAutoSave } from '../xml/saveXML.js';
+import { recordChange, updateHistoryButtons } from './history.js';
+import { tokenOrder } from './tokenEdit.js';
+import { handleHeadCycle, hideCycleNotice } from './headCycle.js';
 
 /**
  * --------------------------------------------------------------------------
@@ -10,8 +13,10 @@ import { triggerAutoSave } from '../xml/saveXML.js';
  * --------------------------------------------------------------------------
  * Renders the given sentence and its dependency tree.
  * Keeps UI buttons and dropdown synchronized with the current view.
+ * Sentence ids need not start at 1 or be consecutive; an id that is not in
+ * the document shows the nearest sentence before it (or the first one).
  *
- * @param {number} index - Sentence ID (numeric) to display.
+ * @param {string|number} index - Id of the sentence to display.
  * @returns {Promise<void>} Resolves after loading data and rendering the selected sentence and its tree.
  */
 export async function displaySentence(index) {
@@ -29,65 +34,148 @@ export async function displaySentence(index) {
     window.closeMorphTool();
   }
 
+  // Same for the Relation tool
+  if (window.isRelationActive && typeof window.closeRelationTool === 'function') {
+    window.closeRelationTool();
+  }
+
+  // A pending cycle notice belongs to the previous sentence
+  hideCycleNotice();
+
   // Clear previously displayed sentence text
   tokenizedSentence.textContent = '';
 
-  // Constrain the requested index to available range
+  // Locate the sentence matching the given ID
   window.totalSentences = data.length;
-  if (index < 1) index = 1;
-  if (index > window.totalSentences) index = window.totalSentences;
+  const sentence = data.find(s => s.id === `${index}`) || nearestSentence(data, index);
+  index = sentence.id;
   window.currentIndex = index;
 
   // Sync UI controls for navigation and dropdown
   updateNavigationButtons(index);
   updateSentenceSelector(index);
 
-  // Locate the sentence matching the given ID
-  const sentence = data.find(s => s.id === `${index}`);
-  if (!sentence) {
-    console.warn(`Sentence with id=${index} not found.`);
-    return;
+  // Render tokens inline above the tree 
+  renderTokens(sentence);
+
+  // Generate and display the D3 dependency tree
+  createNodeHierarchy(index);
+
+  // Refresh XML panel if open
+  if (typeof window.updateXMLIfActive === 'function') {
+    window.updateXMLIfActive();
   }
 
-  // Render tokens inline above the tree 
-    sentence.words.forEach((word) => {
+  if (typeof window.setupWordHoverSync === 'function') {
+    window.setupWordHoverSync();
+  }
+
+  // Undo/redo buttons follow the displayed sentence's own history
+  updateHistoryButtons();
+
+  // Problem badge follows the displayed sentence
+  if (typeof window.refreshProblems === 'function') {
+    window.refreshProblems();
+  }
+} 
+
+// Sentence shown for an id that is not in the document: the last one with a
+// lower numeric id, or the first sentence
+function nearestSentence(data, id) {
+  const before = data.filter(s => Number(s.id) < Number(id));
+  return before[before.length - 1] || data[0];
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renderTokens
+ * --------------------------------------------------------------------------
+ * Renders the sentence's words as clickable tokens in #tokenized-sentence,
+ * in reading order (elliptic nodes after the token they were inserted at).
+ *
+ * @param {Object} sentence - Sentence object whose words are rendered.
+ * @returns {void}
+ */
+export function renderTokens(sentence) {
+  const tokenizedSentence = document.getElementById('tokenized-sentence');
+  if (!tokenizedSentence || !sentence) return;
+  tokenizedSentence.textContent = '';
+
+  tokenOrder(sentence.words).forEach((word) => {
     const button = document.createElement("button");
     button.textContent = word.form + " ";
     button.classList.add("token");
+    if (word.artificial) {
+      button.classList.add("artificial");
+      button.title = `Elliptic node (${word.insertion_id || 'no insertion_id'})`;
+    }
     button.dataset.wordId = word.id;
     button.dataset.pos = getPOSChar(word);
     button.style.color = colorForPOS(word);   // sentence token font color
 
     // Add click interaction for Morph, Relation, and Focus modes
-    button.addEventListener("click", (event) => handleWordClick(word.id));
+    button.addEventListener("click", (event) => handleWordClick(word.id, event));
 
-  tokenizedSentence.appendChild(button);
-});
+    tokenizedSentence.appendChild(button);
+  });
+}
 
-  // Generate and display the D3 dependency tree
-  createNodeHierarchy(index);
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: refreshSentenceView
+ * --------------------------------------------------------------------------
+ * Redraws the current sentence after its data changed underneath the UI
+ * (undo/redo, bulk edits). Unlike displaySentence() it keeps the open tool,
+ * the zoom level and the selected word.
+ *
+ * @returns {void}
+ */
+export function refreshSentenceView() {
+  const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+  if (!sentence) return;
+
+  const selectedId = document.querySelector('.token.selected')?.dataset.wordId;
+  const prevTransform = window.svg ? d3.zoomTransform(window.svg.node()) : null;
+
+  hideCycleNotice();
+  renderTokens(sentence);
+  createNodeHierarchy(window.currentIndex);
+  if (window.svg && window.zoom && prevTransform) {
+    window.svg.call(window.zoom.transform, prevTransform);
+  }
 
-  // Refresh XML panel if open
   if (typeof window.updateXMLIfActive === 'function') {
     window.updateXMLIfActive();
   }
-
   if (typeof window.setupWordHoverSync === 'function') {
     window.setupWordHoverSync();
   }
-} 
+
+  // Restore the selection and re-render the open tool for its (new) word object
+  if (!selectedId) return;
+  document.querySelector(`.token[data-word-id='${selectedId}']`)?.classList.add('selected');
+  d3.select(`.node[id='${selectedId}']`).classed('selected', true);
+  const word = sentence.words.find(w => w.id === selectedId);
+  if (word && window.isMorphActive && typeof window.renderMorphInfo === 'function') {
+    window.renderMorphInfo(word);
+  }
+  if (word && window.isRelationActive && typeof window.renderRelationInfo === 'function') {
+    window.renderRelationInfo(word);
+  }
+}
 
 /**
  * --------------------------------------------------------------------------
  * FUNCTION: handleWordClick
  * --------------------------------------------------------------------------
  * handles changing head when two nodes are selected or displays morph info
- * if morph tab is active
+ * if morph tab is active; with the XML tab open it selects the word there
+ * (`event` tells whether Ctrl/Cmd was held)
  */
 
 let selectedWordId = null; // keeps track of the first click(dependent word)
 
-export function handleWordClick(wordId) {
+export function handleWordClick(wordId, event) {
 
   // If Morph tool is active → just show morph info, don’t alter tree
   if (window.isMorphActive) {
@@ -114,8 +202,21 @@ export function handleWordClick(wordId) {
     return;
   }
 
-  // If XML tab is active or tree locked, ignore clicks
-  if (window.isReadOnly) return;
+  // If Relation tool is active → show the relation editor for this word
+  if (window.isRelationActive) {
+    if (typeof window.openRelationEditor === 'function') {
+      window.openRelationEditor(wordId);
+    }
+    return;
+  }
+
+  // If XML tab is active or tree locked, clicks only select words for the XML view
+  if (window.isReadOnly) {
+    if (typeof window.selectXMLWord === 'function') {
+      window.selectXMLWord(wordId, Boolean(event?.ctrlKey || event?.metaKey));
+    }
+    return;
+  }
 
  // Otherwise, normal dependency reassignment mode
   //if there hasn't already been a selected word
@@ -138,27 +239,64 @@ export function handleWordClick(wordId) {
     return;
   }
 
-  const currentSentence = window.treebankData.find(s => s.id === `${window.currentIndex}`);
-  //gets dependent node (first selected node)
-  const dependent = currentSentence.words.find(word => word.id === selectedWordId);
-  //gets indepenent node (second selected node)
-  const independent = currentSentence.words.find(word => word.id === newHeadId);
-
   //remove highlight when second word is selected
   const btnNewHead = document.querySelector(`button[data-word-id="${newHeadId}"]`);
   if (btnNewHead) btnNewHead.classList.remove("highlight");
 
-  if (createsCycle(currentSentence.words, selectedWordId, newHeadId)) {
-    // Flip logic — make the old head now depend on the selected word
-    independent.head = dependent.head;
-  } else if(dependent) {
-    // Normal assignment
-    dependent.head = newHeadId;
+  setWordHead(selectedWordId, newHeadId);
+  resetSelection();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setWordHead
+ * --------------------------------------------------------------------------
+ * Makes one word of the current sentence depend on another, as one undoable
+ * edit, and redraws the tree. Used by click-to-reattach and by dragging a
+ * node onto its new head.
+ *
+ * If the new head already depends on the word, nothing changes right away:
+ * the cycle is explained inline and, when the user preference allows it,
+ * the new head is raised to the word's old head after confirmation
+ * (see headCycle.js).
+ *
+ * @param {string} dependentId - Word that gets the new head.
+ * @param {string} newHeadId - Id of the new head ('0' or 'root' for the root).
+ * @returns {void}
+ */
+export function setWordHead(dependentId, newHeadId) {
+  if (newHeadId === 'root') newHeadId = '0';
+  const currentSentence = window.treebankData.find(s => s.id === `${window.currentIndex}`);
+  //gets dependent node (first selected node)
+  const dependent = currentSentence?.words.find(word => word.id === dependentId);
+  //gets indepenent node (second selected node)
+  const independent = currentSentence?.words.find(word => word.id === newHeadId);
+  if (!dependent) return;
+  hideCycleNotice();
+
+  if (independent && createsCycle(currentSentence.words, dependentId, newHeadId)) {
+    handleHeadCycle(currentSentence.words, dependentId, newHeadId, () => {
+      const prevTransform = window.svg ? d3.zoomTransform(window.svg.node()) : null;
+      recordChange('head swap', () => {
+        // Raise the new head to the word's old head, then attach the word to it
+        independent.head = dependent.head;
+        dependent.head = newHeadId;
+      });
+      createNodeHierarchy(window.currentIndex);
+      if (window.svg && window.zoom && prevTransform) {
+        window.svg.call(window.zoom.transform, prevTransform);
+      }
+      triggerAutoSave();
+    });
+    return;
   }
- 
-  createNodeHierarchy(window.currentIndex);
 
-  resetSelection();
+  recordChange('head change', () => {
+    dependent.head = newHeadId;
+  });
+
+  createNodeHierarchy(window.currentIndex);
+  triggerAutoSave();
 }
 
 /**
@@ -219,7 +357,7 @@ export function setupResizeHandle() {
  * --------------------------------------------------------------------------
  * resets the first selected word 
  */
-function resetSelection() {
+export function resetSelection() {
   const prev = document.querySelector(".token.selected");
   if (prev) prev.classList.remove("selected");
   selectedWordId = null
@@ -0,0 +1,166 @@
+import { recordDocumentChange } from './history.js';
+import { refreshDocumentView } from './navigation.js';
+import { renumberWords, tokenOrder } from './tokenEdit.js';
+import { triggerAutoSave } from '../xml/saveXML.js';
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renumberSentences
+ * --------------------------------------------------------------------------
+ * Gives the sentences consecutive ids in document order, counting on from
+ * the first sentence's id (1 if it is not a number), so a file that starts
+ * at sentence 101 still does.
+ *
+ * @param {Array<Object>} data - Parsed sentences (window.treebankData).
+ * @returns {void}
+ */
+export function renumberSentences(data) {
+  const first = parseInt(data[0]?.id, 10);
+  const start = Number.isNaN(first) ? 1 : first;
+  data.forEach((sentence, i) => { sentence.id = String(start + i); });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: splitSentence
+ * --------------------------------------------------------------------------
+ * Splits a sentence after a token; the rest becomes a new sentence right
+ * after it, with the same sentence attributes except `span` (the first and
+ * last tokens of the original sentence). Elliptic nodes go with the
+ * part where they are read, non-word children with the word they follow.
+ * Heads that would cross the new boundary are re-attached to the root.
+ * Sentence and word ids are renumbered.
+ *
+ * @param {Array<Object>} data - Parsed sentences (window.treebankData).
+ * @param {string} sentenceId - Sentence to split.
+ * @param {string} afterWordId - Last token of the first part.
+ * @returns {boolean} True if the document changed.
+ */
+export function splitSentence(data, sentenceId, afterWordId) {
+  const index = data.findIndex(s => s.id === String(sentenceId));
+  const sentence = data[index];
+  if (!sentence) return false;
+
+  const order = tokenOrder(sentence.words);
+  let cut = order.findIndex(w => String(w.id) === String(afterWordId));
+  if (cut < 0) return false;
+  while (order[cut + 1]?.artificial) cut++; // keep nodes inserted after the token
+  if (cut >= order.length - 1) return false;
+
+  const firstPart = new Set(order.slice(0, cut + 1));
+  const first = sentence.words.filter(w => firstPart.has(w));
+  const second = sentence.words.filter(w => !firstPart.has(w));
+
+  const detachCrossing = (words) => {
+    const ids = new Set(words.map(w => String(w.id)));
+    words.forEach(w => {
+      const head = String(w.head ?? '');
+      if (head !== '0' && head !== '' && !ids.has(head)) w.head = '0';
+    });
+  };
+  detachCrossing(first);
+  detachCrossing(second);
+
+  // Non-word children that follow a word of the second part move with it
+  const secondIds = new Set(second.map(w => String(w.id)));
+  const extraAfter = (sentence.extra || []).map((_, i) => sentence.extraAfter?.[i]);
+  const moves = extraAfter.map(id => id !== undefined && secondIds.has(String(id)));
+  const keep = (list, moved) => list.filter((_, i) => moves[i] === moved);
+
+  const newSentence = {
+    id: '',
+    attributes: (sentence.attributes || [])
+      .filter(([name]) => name !== 'span')
+      .map(pair => [...pair]),
+    extra: keep(sentence.extra || [], true),
+    extraAfter: keep(extraAfter, true),
+    words: second
+  };
+  sentence.words = first;
+  sentence.extra = keep(sentence.extra || [], false);
+  sentence.extraAfter = keep(extraAfter, false);
+  data.splice(index + 1, 0, newSentence);
+
+  renumberWords(sentence);
+  renumberWords(newSentence);
+  renumberSentences(data);
+  return true;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: mergeSentences
+ * --------------------------------------------------------------------------
+ * Appends the next sentence to a sentence. Word ids of the second sentence
+ * are shifted past the first, then all ids are renumbered (real words
+ * first, elliptic nodes last, as in AGDT files). Sentence ids are renumbered.
+ *
+ * @param {Array<Object>} data - Parsed sentences (window.treebankData).
+ * @param {string} sentenceId - First of the two sentences.
+ * @returns {boolean} True if the document changed.
+ */
+export function mergeSentences(data, sentenceId) {
+  const index = data.findIndex(s => s.id === String(sentenceId));
+  if (index < 0 || index >= data.length - 1) return false;
+  const [a, b] = [data[index], data[index + 1]];
+
+  const offset = Math.max(0, ...a.words.map(w => Number(w.id) || 0));
+  const lastReal = [...a.words].reverse().find(w => !w.artificial);
+  const shift = id => String(Number(id) + offset);
+
+  // Children before the second sentence's first word now follow the first
+  // sentence's last token
+  const extraAfter = [
+    ...(a.extra || []).map((_, i) => a.extraAfter?.[i]),
+    ...(b.extra || []).map((_, i) => {
+      const id = b.extraAfter?.[i];
+      if (id === undefined) return undefined;
+      return id === '' ? String(lastReal?.id ?? '') : shift(id);
+    })
+  ];
+
+  b.words.forEach(w => {
+    w.id = shift(w.id);
+    const head = String(w.head ?? '');
+    if (head !== '0' && head !== '' && !Number.isNaN(Number(head))) w.head = shift(head);
+
+    // "0000e" (start of the second sentence) now follows the first one's last token
+    const m = /^(\d+)(\D*)$/.exec(w.insertion_id || '');
+    if (m) {
+      const anchor = Number(m[1]) === 0 ? Number(lastReal?.id || 0) : Number(m[1]) + offset;
+      w.insertion_id = String(anchor).padStart(4, '0') + m[2];
+    }
+  });
+
+  a.words = [
+    ...a.words.filter(w => !w.artificial),
+    ...b.words.filter(w => !w.artificial),
+    ...a.words.filter(w => w.artificial),
+    ...b.words.filter(w => w.artificial)
+  ];
+  a.extra = [...(a.extra || []), ...(b.extra || [])];
+  a.extraAfter = extraAfter;
+  data.splice(index + 1, 1);
+
+  renumberWords(a);
+  renumberSentences(data);
+  return true;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: applySentenceEdit
+ * --------------------------------------------------------------------------
+ * Runs a split or merge as one undoable edit, then re-syncs the selector,
+ * window.totalSentences and the navigation buttons.
+ *
+ * @param {string} label - Undo label.
+ * @param {Function} edit - Mutates window.treebankData.
+ * @returns {Promise<void>}
+ */
+export async function applySentenceEdit(label, edit) {
+  window.selectedNode = null;
+  recordDocumentChange(label, edit);
+  await refreshDocumentView();
+  triggerAutoSave();
+}
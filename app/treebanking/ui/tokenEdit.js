@@ -0,0 +1,350 @@
+import { recordChange } from './history.js';
+import { refreshSentenceView } from './sentenceDisplay.js';
+import { triggerAutoSave } from '../xml/saveXML.js';
+import { escapeXML as escapeHTML } from '../xml/serializer.js';
+import { splitSentence, mergeSentences, applySentenceEdit } from './sentenceEdit.js';
+
+// What a merged word takes over from the second word when that one is the host
+const MERGE_FIELDS = ['lemma', 'postag', '_doc', '_displayLemma', '_displayPostag', 'forms', 'activeForm', 'source', 'relation', 'head'];
+
+// insertion_id = id of the token the node follows, zero-padded, plus a letter
+// ("0050e" = first node inserted after word 50, "0050f" = the second)
+function parseInsertionId(insertionId) {
+  const m = /^(\d+)(\D*)$/.exec(insertionId || '');
+  return m ? { afterId: String(Number(m[1])), suffix: m[2] } : null;
+}
+
+function formatInsertionId(afterId, suffix) {
+  return String(afterId).padStart(4, '0') + suffix;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: tokenOrder
+ * --------------------------------------------------------------------------
+ * Reading order of a sentence's words for the sentence bar. Artificial
+ * nodes are stored after the real words (as in AGDT files) but are shown
+ * right after the token named by their insertion_id.
+ *
+ * @param {Array<Object>} words - Words of a sentence.
+ * @returns {Array<Object>} The same words, in reading order.
+ */
+export function tokenOrder(words) {
+  const inserted = new Map(); // afterId → artificial words
+  const unplaced = [];
+  words.filter(w => w.artificial).forEach(w => {
+    const insertion = parseInsertionId(w.insertion_id);
+    if (!insertion) return unplaced.push(w);
+    if (!inserted.has(insertion.afterId)) inserted.set(insertion.afterId, []);
+    inserted.get(insertion.afterId).push(w);
+  });
+  inserted.forEach(list => list.sort((a, b) => a.insertion_id.localeCompare(b.insertion_id)));
+
+  const ordered = [...(inserted.get('0') || [])];
+  const placed = new Set(ordered);
+  const append = (w) => {
+    ordered.push(w);
+    placed.add(w);
+    (inserted.get(String(w.id)) || []).forEach(a => { if (!placed.has(a)) append(a); });
+  };
+  words.filter(w => !w.artificial).forEach(append);
+  words.filter(w => w.artificial && !placed.has(w)).forEach(w => ordered.push(w));
+  return ordered;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: insertArtificialNode
+ * --------------------------------------------------------------------------
+ * Adds an elliptical node (artificial="elliptic") after a token, e.g. for
+ * an elided verb. Like in AGDT files it is stored after the real words with
+ * the next free id; its insertion_id records where it is read. It starts
+ * attached to the root, without analysis or relation.
+ *
+ * @param {Object} sentence - Sentence to insert into.
+ * @param {string} afterId - Token the node follows ("0" for the start).
+ * @param {string} [form="[0]"] - Placeholder form.
+ * @returns {Object|null} The new word, or null if afterId is unknown.
+ */
+export function insertArtificialNode(sentence, afterId, form = '[0]') {
+  const after = sentence.words.find(w => String(w.id) === String(afterId));
+  if (!after && String(afterId) !== '0') return null;
+
+  // Inserting after an artificial node reuses its anchor token
+  const anchorId = after?.artificial ? parseInsertionId(after.insertion_id)?.afterId ?? String(after.id) : String(afterId);
+  const used = sentence.words
+    .map(w => parseInsertionId(w.insertion_id))
+    .filter(ins => ins?.afterId === anchorId)
+    .map(ins => ins.suffix);
+  let suffix = 'e';
+  while (used.includes(suffix)) suffix = String.fromCharCode(suffix.charCodeAt(0) + 1);
+
+  const maxId = Math.max(0, ...sentence.words.map(w => Number(w.id) || 0));
+  const node = {
+    id: String(maxId + 1),
+    insertion_id: formatInsertionId(anchorId, suffix),
+    artificial: 'elliptic',
+    form,
+    word: form,
+    lemma: '',
+    postag: '',
+    relation: '',
+    head: '0',
+    _attrOrder: ['id', 'insertion_id', 'artificial', 'relation', 'form', 'head']
+  };
+  sentence.words.push(node);
+  return node;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: removeArtificialNode
+ * --------------------------------------------------------------------------
+ * Deletes an artificial node. Its dependents move up to its own head.
+ *
+ * @param {Object} sentence - Sentence containing the node.
+ * @param {string} wordId - Id of the artificial node.
+ * @returns {boolean} True if the sentence changed.
+ */
+export function removeArtificialNode(sentence, wordId) {
+  const index = sentence.words.findIndex(w => String(w.id) === String(wordId));
+  const node = sentence.words[index];
+  if (!node?.artificial) return false;
+
+  sentence.words.forEach(w => {
+    if (String(w.head) === String(node.id)) w.head = node.head;
+  });
+  sentence.words.splice(index, 1);
+  renumberWords(sentence);
+  return true;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renumberWords
+ * --------------------------------------------------------------------------
+ * Gives the words of a sentence consecutive ids (1, 2, …) in their current
+ * order and rewrites every head (and the word id inside every insertion_id)
+ * to match, as well as the word each non-word child follows (`extraAfter`).
+ * `aliases` maps ids of words that no longer exist to the word that
+ * replaced them, so their dependents are re-attached instead of left
+ * dangling.
+ *
+ * @param {Object} sentence - Sentence object whose words are renumbered.
+ * @param {Map<string, Object>} [aliases] - Old id → surviving word object.
+ * @returns {Map<string, string>} Old id → new id.
+ */
+export function renumberWords(sentence, aliases = new Map()) {
+  const idMap = new Map();
+  sentence.words.forEach((w, i) => {
+    if (w._oldId === undefined) w._oldId = String(w.id);
+    idMap.set(w._oldId, String(i + 1));
+  });
+  aliases.forEach((word, oldId) => idMap.set(oldId, idMap.get(word._oldId)));
+
+  sentence.words.forEach(w => {
+    w.id = idMap.get(w._oldId);
+    const head = String(w.head ?? '');
+    if (idMap.has(head)) w.head = idMap.get(head);
+
+    const insertion = parseInsertionId(w.insertion_id);
+    if (insertion && idMap.has(insertion.afterId)) {
+      w.insertion_id = formatInsertionId(idMap.get(insertion.afterId), insertion.suffix);
+    }
+  });
+
+  // A word may now point at itself (e.g. merged with its own head)
+  sentence.words.forEach(w => {
+    if (w.head === w.id) w.head = '0';
+    delete w._oldId;
+  });
+
+  // Children that followed a removed word go after all words
+  if (sentence.extraAfter) {
+    sentence.extraAfter = sentence.extraAfter.map(id => (id ? idMap.get(String(id)) : id));
+  }
+  return idMap;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: splitToken
+ * --------------------------------------------------------------------------
+ * Splits one word into several (crasis, enclitics glued to their host, …).
+ * The first part keeps the word's analysis, relation, head and dependents;
+ * the other parts get no analysis yet and hang from the same head.
+ *
+ * @param {Object} sentence - Sentence containing the word.
+ * @param {string} wordId - Word to split.
+ * @param {Array<string>} parts - New forms, in order (at least two).
+ * @returns {boolean} True if the sentence changed.
+ */
+export function splitToken(sentence, wordId, parts) {
+  const index = sentence.words.findIndex(w => String(w.id) === String(wordId));
+  const forms = (parts || []).map(p => p.trim()).filter(Boolean);
+  if (index < 0 || forms.length < 2) return false;
+
+  const word = sentence.words[index];
+  word.form = word.word = forms[0];
+
+  const added = forms.slice(1).map(form => ({
+    id: '',
+    form,
+    word: form,
+    lemma: '',
+    postag: '',
+    relation: '',
+    head: word.head
+  }));
+  sentence.words.splice(index + 1, 0, ...added);
+
+  renumberWords(sentence);
+
+  // What followed the word now follows its last part
+  const last = added[added.length - 1];
+  if (sentence.extraAfter) {
+    sentence.extraAfter = sentence.extraAfter.map(id => (id === word.id ? last.id : id));
+  }
+  return true;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: mergeTokens
+ * --------------------------------------------------------------------------
+ * Merges a word with the word that follows it. If one of the two depends on
+ * the other, the merged word keeps the analysis, relation and head of the
+ * host; otherwise those of the first word (or the second's, if the first has
+ * no analysis). Words that depended on either now depend on the merged word.
+ *
+ * @param {Object} sentence - Sentence containing the words.
+ * @param {string} wordId - First of the two words.
+ * @returns {boolean} True if the sentence changed.
+ */
+export function mergeTokens(sentence, wordId) {
+  const index = sentence.words.findIndex(w => String(w.id) === String(wordId));
+  if (index < 0 || index >= sentence.words.length - 1) return false;
+
+  const [first, second] = sentence.words.slice(index, index + 2);
+  const merged = first;
+  merged.form = merged.word = `${first.form}${second.form}`;
+
+  // The word the other one depends on is the host: its analysis, relation
+  // and head survive. Otherwise the first word's do, unless it has none.
+  const hasAnalysis = w => (w._displayLemma ?? w.lemma) || (w._displayPostag ?? w.postag);
+  const secondIsHost = String(first.head) === String(second.id)
+    || (!hasAnalysis(first) && hasAnalysis(second) && String(second.head) !== String(first.id));
+  if (secondIsHost) {
+    MERGE_FIELDS.forEach(key => { merged[key] = second[key]; });
+  }
+  if (!merged.relation) merged.relation = second.relation;
+
+  sentence.words.splice(index + 1, 1);
+  renumberWords(sentence, new Map([[String(second.id), merged]]));
+  return true;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupTokenEditing
+ * --------------------------------------------------------------------------
+ * Right-clicking a token in the sentence bar opens a small menu to split
+ * it, merge it with a neighbour, insert/remove an elliptic node, or split
+ * the sentence after it / merge the sentence with the next one.
+ * Each command is one undoable edit.
+ *
+ * @returns {void}
+ */
+export function setupTokenEditing() {
+  const bar = document.getElementById('tokenized-sentence');
+  if (!bar) return;
+
+  const menu = document.createElement('div');
+  menu.id = 'token-menu';
+  menu.hidden = true;
+  document.body.appendChild(menu);
+
+  const closeMenu = () => { menu.hidden = true; };
+  document.addEventListener('click', (e) => { if (!menu.contains(e.target)) closeMenu(); });
+  document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeMenu(); });
+
+  bar.addEventListener('contextmenu', (e) => {
+    const token = e.target.closest('.token');
+    if (!token || window.isReadOnly) return;
+    e.preventDefault();
+
+    const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+    const word = sentence?.words.find(w => w.id === token.dataset.wordId);
+    if (!word) return;
+
+    // Merging only makes sense between neighbouring real tokens
+    const real = sentence.words.filter(w => !w.artificial);
+    const index = real.indexOf(word);
+
+    const order = tokenOrder(sentence.words);
+    const isLastToken = order.slice(order.indexOf(word) + 1).every(w => w.artificial);
+    const isLastSentence = window.treebankData.at(-1) === sentence;
+    const sentenceItems = `
+      <hr />
+      <button type="button" data-action="split-sentence" ${isLastToken ? 'disabled' : ''}>Split sentence after this token</button>
+      <button type="button" data-action="merge-sentence" ${isLastSentence ? 'disabled' : ''}>Merge with next sentence</button>
+    `;
+
+    menu.innerHTML = (word.artificial ? `
+      <p class="token-menu-title">${escapeHTML(word.form)} <span>(elliptic)</span></p>
+      <button type="button" data-action="insert">Insert elliptic node after…</button>
+      <button type="button" data-action="remove">Remove elliptic node</button>
+    ` : `
+      <p class="token-menu-title">${escapeHTML(word.form)}</p>
+      <button type="button" data-action="split">Split token…</button>
+      <button type="button" data-action="merge-prev" ${index > 0 ? '' : 'disabled'}>Merge with previous</button>
+      <button type="button" data-action="merge-next" ${index < real.length - 1 ? '' : 'disabled'}>Merge with next</button>
+      <button type="button" data-action="insert">Insert elliptic node after…</button>
+    `) + sentenceItems;
+    menu.style.left = `${e.pageX}px`;
+    menu.style.top = `${e.pageY}px`;
+    menu.hidden = false;
+
+    menu.onclick = (ev) => {
+      const action = ev.target.closest('button')?.dataset.action;
+      if (!action) return;
+      closeMenu();
+
+      if (action === 'split') {
+        const answer = prompt(`Split "${word.form}" into (separate the parts with spaces):`, word.form);
+        const parts = (answer || '').split(/\s+/).filter(Boolean);
+        if (parts.length < 2) return;
+        applyTokenEdit('token split', () => splitToken(sentence, word.id, parts));
+      } else if (action === 'merge-prev' || action === 'merge-next') {
+        const first = action === 'merge-prev' ? real[index - 1] : word;
+        const second = real[real.indexOf(first) + 1];
+        applyTokenEdit('token merge', () => {
+          // Make the two tokens adjacent in storage before merging
+          sentence.words.splice(sentence.words.indexOf(second), 1);
+          sentence.words.splice(sentence.words.indexOf(first) + 1, 0, second);
+          return mergeTokens(sentence, first.id);
+        });
+      } else if (action === 'insert') {
+        const form = prompt('Form of the elliptic node:', '[0]');
+        if (form === null) return;
+        applyTokenEdit('elliptic node insertion', () => insertArtificialNode(sentence, word.id, form.trim() || '[0]'));
+      } else if (action === 'remove') {
+        applyTokenEdit('elliptic node removal', () => removeArtificialNode(sentence, word.id));
+      } else if (action === 'split-sentence') {
+        applySentenceEdit('sentence split', () => splitSentence(window.treebankData, sentence.id, word.id));
+      } else if (action === 'merge-sentence') {
+        applySentenceEdit('sentence merge', () => mergeSentences(window.treebankData, sentence.id));
+      }
+    };
+  });
+}
+
+function applyTokenEdit(label, edit) {
+  // Ids change, so whatever was selected no longer means the same word
+  document.querySelectorAll('.token.selected').forEach(t => t.classList.remove('selected'));
+  window.selectedNode = null;
+
+  recordChange(label, edit);
+  refreshSentenceView();
+  triggerAutoSave();
+}
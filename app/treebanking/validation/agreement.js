@@ -0,0 +1,137 @@
+import { parseMorphTag } from '../morph/morphHelpers.js';
+import { parseRelation } from '../relation/relationLabels.js';
+
+/**
+ * =============================================================================
+ * AGREEMENT CHECKER
+ * =============================================================================
+ * Compares the morphology of a word with the word it should agree with:
+ *
+ *   • ATR adjective / article / participle  ↔  its noun head (case, number, gender)
+ *   • SBJ noun                              ↔  its finite verb (number)
+ *   • PNOM                                  ↔  the SBJ of the same verb (case)
+ *
+ * Features left unset ("-") on either side are never reported. Like the
+ * validator, this is pure data in, pure data out.
+ *
+ * Each finding is { sentenceId, wordId, otherId, type, message }.
+ * =============================================================================
+ */
+
+export const AGREEMENT_TYPES = {
+  'atr-agreement': 'Attribute disagrees with its noun',
+  'sbj-number':    'Subject disagrees with its verb',
+  'pnom-case':     'Predicate nominal disagrees with its subject'
+};
+
+const FEATURE_VALUES = {
+  number: { s: 'singular', p: 'plural', d: 'dual' },
+  gender: { m: 'masculine', f: 'feminine', n: 'neuter', c: 'common' },
+  case:   { n: 'nominative', g: 'genitive', d: 'dative', a: 'accusative', v: 'vocative', b: 'ablative', l: 'locative' }
+};
+
+// Heads through which *_CO members reach the word they modify
+const COORDINATING = ['COORD', 'AuxX', 'AuxY'];
+
+const FINITE_MOODS = ['i', 's', 'o', 'm'];
+
+const isSet = v => v !== '-' && v !== '_' && v !== '';
+const isParticiple = m => m.pos === 'v' && m.mood === 'p';
+const morphOf = w => parseMorphTag(w._displayPostag ?? w.postag ?? '');
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: mismatchedFeatures
+ * --------------------------------------------------------------------------
+ * Lists which of the given features differ between two parsed tags.
+ * Common gender ("c") agrees with masculine and feminine, and dual with
+ * plural (δύο, ἄμφω and dual subjects freely take plural partners).
+ *
+ * @param {Object} a - parseMorphTag() result.
+ * @param {Object} b - parseMorphTag() result.
+ * @param {Array<string>} features - Feature names to compare.
+ * @returns {Array<string>} Features set on both sides with different values.
+ */
+function mismatchedFeatures(a, b, features) {
+  return features.filter(f => {
+    if (!isSet(a[f]) || !isSet(b[f]) || a[f] === b[f]) return false;
+    if (f === 'gender' && (a[f] === 'c' || b[f] === 'c')) return a[f] === 'n' || b[f] === 'n';
+    if (f === 'number' && [a[f], b[f]].sort().join('') === 'dp') return false;
+    return true;
+  });
+}
+
+function describe(features, a, b) {
+  return features
+    .map(f => `${f}: ${FEATURE_VALUES[f][a[f]] || a[f]} vs ${FEATURE_VALUES[f][b[f]] || b[f]}`)
+    .join(', ');
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: checkAgreement
+ * --------------------------------------------------------------------------
+ * Runs the agreement checks on one sentence.
+ *
+ * @param {Object} sentence - Sentence object { id, words }.
+ * @returns {Array<Object>} Findings, in word order.
+ */
+export function checkAgreement(sentence) {
+  const findings = [];
+  const byId = new Map(sentence.words.map(w => [String(w.id), w]));
+  const add = (word, other, type, message) => findings.push({
+    sentenceId: sentence.id, wordId: String(word.id), otherId: String(other.id), type, message
+  });
+
+  // A *_CO member modifies whatever its coordination hangs from
+  const effectiveHead = (word) => {
+    let head = byId.get(String(word.head));
+    let rel = word.relation || '';
+    while (head && rel.split('_').includes('CO') && COORDINATING.includes(parseRelation(head.relation).base)) {
+      rel = head.relation || '';
+      head = byId.get(String(head.head));
+    }
+    return head;
+  };
+
+  sentence.words.forEach(word => {
+    const { base, suffixes } = parseRelation(word.relation);
+    const m = morphOf(word);
+
+    if (base === 'ATR' && (m.pos === 'a' || m.pos === 'l' || isParticiple(m))) {
+      const head = effectiveHead(word);
+      const hm = head && morphOf(head);
+      if (hm?.pos === 'n') {
+        const bad = mismatchedFeatures(m, hm, ['case', 'number', 'gender']);
+        if (bad.length) add(word, head, 'atr-agreement', `${word.form} does not agree with ${head.form} in ${describe(bad, m, hm)}`);
+      }
+    }
+
+    // Coordinated subjects legitimately take a plural verb
+    if (base === 'SBJ' && !suffixes.CO && m.pos === 'n') {
+      const verb = byId.get(String(word.head));
+      const vm = verb && morphOf(verb);
+      if (vm?.pos === 'v' && FINITE_MOODS.includes(vm.mood)) {
+        const bad = mismatchedFeatures(m, vm, ['number']);
+        // Neuter plural subjects take a singular verb
+        const neuterPlural = m.gender === 'n' && m.number === 'p' && vm.number === 's';
+        if (bad.length && !neuterPlural) {
+          add(word, verb, 'sbj-number', `${word.form} does not agree with its verb ${verb.form} in ${describe(bad, m, vm)}`);
+        }
+      }
+    }
+
+    // A genitive PNOM (possession, material, value) need not match its subject
+    if (base === 'PNOM' && isSet(m.case) && m.case !== 'g') {
+      const subject = sentence.words.find(w =>
+        String(w.head) === String(word.head) && parseRelation(w.relation).base === 'SBJ');
+      const sm = subject && morphOf(subject);
+      if (sm) {
+        const bad = mismatchedFeatures(m, sm, ['case']);
+        if (bad.length) add(word, subject, 'pnom-case', `${word.form} does not agree with the subject ${subject.form} in ${describe(bad, m, sm)}`);
+      }
+    }
+  });
+
+  return findings;
+}
@@ -0,0 +1,81 @@
+import { checkAgreement } from './agreement.js';
+
+const STORAGE_KEY = 'arethusa.agreementCheck';
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupAgreementCheck
+ * --------------------------------------------------------------------------
+ * Wires the #agreement toggle in the tree options. While it is on, words
+ * that disagree with their head (see agreement.js) are marked in the tree
+ * and in the tokenized sentence, with the mismatch as a tooltip.
+ * The setting is remembered between sessions.
+ *
+ * @returns {void}
+ */
+export function setupAgreementCheck() {
+  const button = document.getElementById('agreement');
+  if (!button) return;
+
+  window.isAgreementCheckOn = localStorage.getItem(STORAGE_KEY) === 'on';
+  window.highlightAgreement = highlightAgreement;
+
+  const sync = () => {
+    button.classList.toggle('active', window.isAgreementCheckOn);
+    button.title = window.isAgreementCheckOn ? 'Hide agreement errors' : 'Show agreement errors';
+    highlightAgreement();
+  };
+
+  button.addEventListener('click', () => {
+    window.isAgreementCheckOn = !window.isAgreementCheckOn;
+    localStorage.setItem(STORAGE_KEY, window.isAgreementCheckOn ? 'on' : 'off');
+    sync();
+  });
+
+  sync();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: highlightAgreement
+ * --------------------------------------------------------------------------
+ * Marks the displayed sentence's agreement errors. Called after every tree
+ * redraw (createNodeHierarchy) so marks follow navigation and edits.
+ *
+ * @returns {void}
+ */
+function highlightAgreement() {
+  // Tokens may have a tooltip of their own (elliptic nodes); put it back
+  document.querySelectorAll('.token.agreement-error').forEach(t => {
+    t.classList.remove('agreement-error');
+    if (t.dataset.ownTitle) t.title = t.dataset.ownTitle;
+    else t.removeAttribute('title');
+    delete t.dataset.ownTitle;
+  });
+  d3.selectAll('.node.agreement-error').classed('agreement-error', false).select('title.agreement-tip').remove();
+
+  if (!window.isAgreementCheckOn) return;
+  const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+  if (!sentence) return;
+
+  // One word can fail several checks; show them together
+  const messages = new Map();
+  checkAgreement(sentence).forEach(f => {
+    messages.set(f.wordId, [...(messages.get(f.wordId) || []), f.message]);
+  });
+
+  messages.forEach((list, wordId) => {
+    const tip = list.join('\n');
+    const token = document.querySelector(`.token[data-word-id='${wordId}']`);
+    if (token) {
+      token.classList.add('agreement-error');
+      if (token.title) token.dataset.ownTitle = token.title;
+      token.title = token.title ? `${token.title}\n${tip}` : tip;
+    }
+    d3.select(`.node[id='${wordId}']`)
+      .classed('agreement-error', true)
+      .append('title')
+      .attr('class', 'agreement-tip')
+      .text(tip);
+  });
+}
@@ -0,0 +1,149 @@
+import { validateTreebank, PROBLEM_TYPES } from './validator.js';
+import { goToWord } from '../ui/search.js';
+import { escapeXML as escapeHTML } from '../xml/serializer.js';
+
+// sentenceId → problems, from the most recent validation run
+let problemsBySentence = new Map();
+let showAllSentences = false;
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupProblemsTool
+ * --------------------------------------------------------------------------
+ * Enables the "Problems" tab on the right-hand toolbar and the problem
+ * badge next to the sentence selector. Validation re-runs after every edit
+ * (via triggerAutoSave) and whenever a sentence is displayed.
+ * --------------------------------------------------------------------------
+ */
+export function setupProblemsTool() {
+  const problemsBtn = document.getElementById('problems');
+  const toolBody = document.getElementById('tool-body');
+  const allToolButtons = document.querySelectorAll('#toolbar button');
+  if (!problemsBtn || !toolBody) return;
+
+  window.isProblemsActive = false;
+  window.refreshProblems = refreshProblems;
+
+  // Any other tool taking over the panel turns Problems off
+  allToolButtons.forEach(btn => {
+    if (btn !== problemsBtn) btn.addEventListener('click', () => { window.isProblemsActive = false; });
+  });
+
+  const openProblemsTool = () => {
+    window.closeMorphTool?.();
+    window.closeRelationTool?.();
+    window.closeXMLTool?.();
+    allToolButtons.forEach(btn => btn.classList.remove('active'));
+    document.body.classList.remove('mode-morph');
+
+    window.isProblemsActive = true;
+    problemsBtn.classList.add('active');
+    renderProblemsPanel();
+  };
+
+  problemsBtn.addEventListener('click', () => {
+    if (!window.isProblemsActive) {
+      openProblemsTool();
+      return;
+    }
+    window.isProblemsActive = false;
+    problemsBtn.classList.remove('active');
+    toolBody.innerHTML = `<p>Please select a tool from the bar above that you would like to use.</p>`;
+  });
+
+  document.getElementById('problem-badge')?.addEventListener('click', () => {
+    if (!window.isProblemsActive) openProblemsTool();
+  });
+
+  // Clicking a problem jumps to its word (or just its sentence)
+  toolBody.addEventListener('click', async (e) => {
+    if (!window.isProblemsActive) return;
+
+    if (e.target.matches('.problems-scope input')) {
+      showAllSentences = e.target.value === 'all';
+      renderProblemsPanel();
+      return;
+    }
+
+    const item = e.target.closest('.problem-item');
+    if (!item) return;
+    if (item.dataset.wordId) {
+      await goToWord(item.dataset.sentenceId, item.dataset.wordId);
+    } else {
+      await window.displaySentence(item.dataset.sentenceId);
+    }
+  });
+
+  refreshProblems();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: refreshProblems
+ * --------------------------------------------------------------------------
+ * Re-validates the whole document, then updates the sentence selector
+ * labels, the badge for the displayed sentence and (if open) the panel.
+ *
+ * @returns {void}
+ */
+export function refreshProblems() {
+  problemsBySentence = validateTreebank(window.treebankData);
+
+  // Sentence selector: "12 ⚠3" for sentences with problems
+  const select = document.getElementById('sentence-select');
+  select?.querySelectorAll('option').forEach(opt => {
+    const count = problemsBySentence.get(opt.value)?.length || 0;
+    opt.textContent = count ? `${opt.value} ⚠${count}` : opt.value;
+  });
+
+  const badge = document.getElementById('problem-badge');
+  if (badge) {
+    const count = problemsBySentence.get(`${window.currentIndex}`)?.length || 0;
+    badge.textContent = count;
+    badge.hidden = count === 0;
+    badge.title = `${count} problem${count === 1 ? '' : 's'} in this sentence`;
+  }
+
+  if (window.isProblemsActive) renderProblemsPanel();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renderProblemsPanel
+ * --------------------------------------------------------------------------
+ * Lists the problems of the displayed sentence, or of every sentence.
+ *
+ * @returns {void}
+ */
+function renderProblemsPanel() {
+  const toolBody = document.getElementById('tool-body');
+  if (!toolBody) return;
+
+  const current = `${window.currentIndex}`;
+  const entries = showAllSentences
+    ? [...problemsBySentence.entries()]
+    : [[current, problemsBySentence.get(current) || []]];
+  const total = entries.reduce((n, [, list]) => n + list.length, 0);
+
+  const items = entries.flatMap(([, list]) => list).map(p => `
+    <div class="problem-item problem-${p.type}"
+         data-sentence-id="${escapeHTML(p.sentenceId)}"
+         data-word-id="${escapeHTML(p.wordId ?? '')}">
+      <span class="problem-ref">${escapeHTML(p.sentenceId)}${p.wordId ? `-${escapeHTML(p.wordId)}` : ''}</span>
+      <span class="problem-type">${PROBLEM_TYPES[p.type] || p.type}</span>
+      <span class="problem-message">${escapeHTML(p.message)}</span>
+    </div>
+  `).join('');
+
+  const totalAll = [...problemsBySentence.values()].reduce((n, list) => n + list.length, 0);
+
+  toolBody.innerHTML = `
+    <div class="problems-container">
+      <div class="problems-scope">
+        <label><input type="radio" name="problems-scope" value="current" ${showAllSentences ? '' : 'checked'} /> This sentence</label>
+        <label><input type="radio" name="problems-scope" value="all" ${showAllSentences ? 'checked' : ''} /> All sentences (${totalAll})</label>
+      </div>
+      ${total ? items : `<p class="problems-none">No problems found.</p>`}
+    </div>
+  `;
+}
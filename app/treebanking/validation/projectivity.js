@@ -0,0 +1,107 @@
+import { tokenOrder } from '../ui/tokenEdit.js';
+
+/**
+ * =============================================================================
+ * NON-PROJECTIVITY
+ * =============================================================================
+ * A dependency edge is non-projective when it crosses another edge, i.e. when
+ * the two spans overlap without one containing the other (as in hyperbaton:
+ * an adjective and its noun split by a verb with its own dependents).
+ *
+ * Words are placed in reading order, with ROOT at position 0 in front of the
+ * sentence. Elliptic (artificial) nodes have no place in the text, so edges
+ * to or from them are left out.
+ * =============================================================================
+ */
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: findCrossingEdges
+ * --------------------------------------------------------------------------
+ * Lists every pair of crossing edges of a sentence. An edge is named by its
+ * dependent (each word has one head).
+ *
+ * @param {Array<Object>} words - Words (or idParentPairs rows) with id,
+ *   head (or parentId), and optionally artificial / insertion_id.
+ * @returns {Array<{depId: string, headId: string, otherDepId: string, otherHeadId: string}>}
+ */
+export function findCrossingEdges(words) {
+  const real = tokenOrder(words.filter(w => w.id !== 'root')).filter(w => !w.artificial);
+  const position = new Map(real.map((w, i) => [String(w.id), i + 1]));
+  position.set('0', 0);
+
+  const edges = [];
+  real.forEach(w => {
+    const headId = headOf(w);
+    if (!position.has(headId)) return; // artificial or missing head
+    const a = position.get(headId);
+    const b = position.get(String(w.id));
+    edges.push({ depId: String(w.id), headId, from: Math.min(a, b), to: Math.max(a, b) });
+  });
+
+  const crossings = [];
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 1; j < edges.length; j++) {
+      const [e, f] = [edges[i], edges[j]];
+      const crosses =
+        (e.from < f.from && f.from < e.to && e.to < f.to) ||
+        (f.from < e.from && e.from < f.to && f.to < e.to);
+      if (crosses) {
+        crossings.push({ depId: e.depId, headId: e.headId, otherDepId: f.depId, otherHeadId: f.headId });
+      }
+    }
+  }
+  return crossings;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: nonProjectiveEdges
+ * --------------------------------------------------------------------------
+ * Ids of the dependents whose edge to their head crosses another edge.
+ *
+ * @param {Array<Object>} words - As for findCrossingEdges().
+ * @returns {Set<string>} Dependent ids.
+ */
+export function nonProjectiveEdges(words) {
+  const ids = new Set();
+  findCrossingEdges(words).forEach(c => {
+    ids.add(c.depId);
+    ids.add(c.otherDepId);
+  });
+  return ids;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: analyzeProjectivity
+ * --------------------------------------------------------------------------
+ * Runs the analysis over a whole document.
+ *
+ * @param {Array<Object>} data - Parsed sentences (window.treebankData).
+ * @returns {{bySentence: Map<string, Array<Object>>, sentenceCount: number, edgeCount: number}}
+ *   Crossings per non-projective sentence, the number of such sentences and
+ *   the number of non-projective edges in the document.
+ */
+export function analyzeProjectivity(data) {
+  const bySentence = new Map();
+  let edgeCount = 0;
+
+  (data || []).forEach(sentence => {
+    const crossings = findCrossingEdges(sentence.words || []);
+    if (!crossings.length) return;
+    bySentence.set(String(sentence.id), crossings);
+    edgeCount += new Set(crossings.flatMap(c => [c.depId, c.otherDepId])).size;
+  });
+
+  return { bySentence, sentenceCount: bySentence.size, edgeCount };
+}
+
+/**
+ * Head id of a word or an idParentPairs row, with the root as '0'
+ * ('' when unattached).
+ */
+function headOf(w) {
+  const head = String((w.parentId !== undefined ? w.parentId : w.head) ?? '');
+  return head === 'root' ? '0' : head;
+}
@@ -0,0 +1,122 @@
+import { analyzeProjectivity } from './projectivity.js';
+import { goToWord } from '../ui/search.js';
+import { escapeXML as escapeHTML } from '../xml/serializer.js';
+
+let showAllSentences = false;
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupProjectivityTool
+ * --------------------------------------------------------------------------
+ * Enables the "crossing" tab on the right-hand toolbar: document counts of
+ * non-projective sentences and edges, and a list of the crossing edges of
+ * the displayed sentence (or of every sentence). The list follows edits and
+ * navigation, since createNodeHierarchy() calls window.refreshProjectivity.
+ * Crossing edges are always marked in the tree (see drawLinks).
+ * --------------------------------------------------------------------------
+ */
+export function setupProjectivityTool() {
+  const crossingBtn = document.getElementById('crossing');
+  const toolBody = document.getElementById('tool-body');
+  const allToolButtons = document.querySelectorAll('#toolbar button');
+  if (!crossingBtn || !toolBody) return;
+
+  window.isProjectivityActive = false;
+  window.refreshProjectivity = () => {
+    if (window.isProjectivityActive) renderProjectivityPanel();
+  };
+
+  // Any other tool taking over the panel turns this one off
+  allToolButtons.forEach(btn => {
+    if (btn !== crossingBtn) btn.addEventListener('click', () => { window.isProjectivityActive = false; });
+  });
+
+  crossingBtn.addEventListener('click', () => {
+    if (window.isProjectivityActive) {
+      window.isProjectivityActive = false;
+      crossingBtn.classList.remove('active');
+      toolBody.innerHTML = `<p>Please select a tool from the bar above that you would like to use.</p>`;
+      return;
+    }
+
+    window.closeMorphTool?.();
+    window.closeRelationTool?.();
+    window.closeXMLTool?.();
+    allToolButtons.forEach(btn => btn.classList.remove('active'));
+    document.body.classList.remove('mode-morph');
+
+    window.isProjectivityActive = true;
+    crossingBtn.classList.add('active');
+    renderProjectivityPanel();
+  });
+
+  // Clicking a crossing jumps to the dependent of its edge
+  toolBody.addEventListener('click', async (e) => {
+    if (!window.isProjectivityActive) return;
+
+    if (e.target.matches('.crossing-scope input')) {
+      showAllSentences = e.target.value === 'all';
+      renderProjectivityPanel();
+      return;
+    }
+
+    const item = e.target.closest('.crossing-item');
+    if (item) await goToWord(item.dataset.sentenceId, item.dataset.wordId);
+  });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: renderProjectivityPanel
+ * --------------------------------------------------------------------------
+ * Shows the document counts and the list of crossing edge pairs.
+ *
+ * @returns {void}
+ */
+function renderProjectivityPanel() {
+  const toolBody = document.getElementById('tool-body');
+  const data = window.treebankData;
+  if (!toolBody || !data) return;
+
+  const { bySentence, sentenceCount, edgeCount } = analyzeProjectivity(data);
+  const current = `${window.currentIndex}`;
+  const entries = showAllSentences
+    ? [...bySentence.entries()]
+    : [[current, bySentence.get(current) || []]];
+
+  const items = entries.flatMap(([sentenceId, crossings]) => {
+    const words = data.find(s => s.id === sentenceId)?.words || [];
+    const edge = (headId, depId) => {
+      const head = headId === '0' ? 'ROOT' : (words.find(w => w.id === headId)?.form ?? headId);
+      const dep = words.find(w => w.id === depId);
+      return `${escapeHTML(head)} → ${escapeHTML(dep?.form ?? depId)}`
+        + (dep?.relation ? ` <span class="crossing-rel">${escapeHTML(dep.relation)}</span>` : '');
+    };
+
+    return crossings.map(c => `
+      <div class="problem-item crossing-item"
+           data-sentence-id="${escapeHTML(sentenceId)}"
+           data-word-id="${escapeHTML(c.depId)}">
+        <span class="problem-ref">${escapeHTML(sentenceId)}-${escapeHTML(c.depId)}</span>
+        <span class="problem-type">${edge(c.headId, c.depId)}</span>
+        <span class="problem-message">crosses ${edge(c.otherHeadId, c.otherDepId)}</span>
+      </div>
+    `);
+  }).join('');
+
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+  toolBody.innerHTML = `
+    <div class="problems-container crossing-container">
+      <p class="crossing-summary">
+        ${plural(sentenceCount, 'sentence')} of ${data.length} non-projective,
+        ${plural(edgeCount, 'crossing edge')} in this document.
+      </p>
+      <div class="problems-scope crossing-scope">
+        <label><input type="radio" name="crossing-scope" value="current" ${showAllSentences ? '' : 'checked'} /> This sentence</label>
+        <label><input type="radio" name="crossing-scope" value="all" ${showAllSentences ? 'checked' : ''} /> All sentences</label>
+      </div>
+      ${items || `<p class="problems-none">No crossing edges.</p>`}
+    </div>
+  `;
+}
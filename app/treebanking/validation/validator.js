@@ -0,0 +1,193 @@
+import { parseRelation } from '../relation/relationLabels.js';
+
+/**
+ * =============================================================================
+ * ANNOTATION VALIDATOR
+ * =============================================================================
+ * Checks each sentence of the data model for common annotation problems.
+ * Pure data in, pure data out (no DOM), so it can run after every edit and
+ * from Node on a parsed treebank.
+ *
+ * Each problem is { sentenceId, wordId, type, message }. `wordId` is null for
+ * problems that concern the sentence as a whole.
+ * =============================================================================
+ */
+
+export const PROBLEM_TYPES = {
+  'missing-head':     'Missing head',
+  'missing-relation': 'Missing relation',
+  'unknown-head':     'Head does not exist',
+  'cycle':            'Cycle',
+  'multiple-roots':   'Several root children',
+  'coordination':     'Coordinated member outside coordination',
+  'auxp-object':      'Preposition without object',
+  'postag':           'Invalid postag'
+};
+
+// Allowed characters per postag position (1–8); "-" and "_" (unset) always pass
+const POSTAG_VALUES = {
+  person: '123',
+  number: 'spd',
+  tense:  'pifrlat',
+  mood:   'isonmpgdu',
+  voice:  'apmed',
+  gender: 'mfnc',
+  case:   'ngdavbl',
+  degree: 'pcs'
+};
+const POSTAG_POSITIONS = ['person', 'number', 'tense', 'mood', 'voice', 'gender', 'case', 'degree'];
+
+// Which positions may be filled for each part of speech
+const POS_FEATURES = {
+  v: ['person', 'number', 'tense', 'mood', 'voice', 'gender', 'case'],
+  n: ['number', 'gender', 'case'],
+  a: ['number', 'gender', 'case', 'degree'],
+  p: ['person', 'number', 'gender', 'case'],
+  l: ['number', 'gender', 'case'],
+  m: ['number', 'gender', 'case'],
+  d: ['degree'],
+  c: [], r: [], i: [], u: [], g: [], e: [], x: []
+};
+
+// Heads that may carry *_CO members
+const COORDINATING = ['COORD', 'AuxX', 'AuxY'];
+
+// Heads between a coordinator and its members (e.g. ADV_CO → AuxP → COORD)
+const TRANSPARENT = ['AuxP', 'AuxC'];
+
+// Children that do not count as the object of a preposition
+const NON_OBJECT = ['AuxX', 'AuxY', 'AuxZ', 'AuxG', 'AuxK'];
+
+const isRootHead = head => head === '0' || head === 0;
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: checkPostag
+ * --------------------------------------------------------------------------
+ * Returns a description of what is wrong with a postag, or '' if valid.
+ * Empty postags (e.g. unanalysed elliptical nodes) are not reported.
+ *
+ * @param {string} postag - 9-character morphological tag.
+ * @returns {string} Problem description or ''.
+ */
+export function checkPostag(postag) {
+  if (!postag) return '';
+  if (postag.length !== 9) return `"${postag}" has ${postag.length} characters instead of 9`;
+
+  const pos = postag[0];
+  const allowed = POS_FEATURES[pos];
+  if (!allowed) return `"${postag}" has unknown part of speech "${pos}"`;
+
+  for (let i = 1; i < 9; i++) {
+    const ch = postag[i];
+    if (ch === '-' || ch === '_') continue;
+    const feature = POSTAG_POSITIONS[i - 1];
+    if (!allowed.includes(feature)) return `"${postag}": ${feature} is not used for this part of speech`;
+    if (!POSTAG_VALUES[feature].includes(ch)) return `"${postag}": "${ch}" is not a valid ${feature}`;
+  }
+  return '';
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: validateSentence
+ * --------------------------------------------------------------------------
+ * Runs every check on one sentence.
+ *
+ * @param {Object} sentence - Sentence object { id, words }.
+ * @returns {Array<Object>} Problems found, in word order.
+ */
+export function validateSentence(sentence) {
+  const problems = [];
+  const add = (wordId, type, message) => problems.push({ sentenceId: sentence.id, wordId, type, message });
+
+  const byId = new Map(sentence.words.map(w => [String(w.id), w]));
+  const children = new Map();
+  sentence.words.forEach(w => {
+    const head = String(w.head ?? '');
+    if (!children.has(head)) children.set(head, []);
+    children.get(head).push(w);
+  });
+
+  const reportedCycles = new Set();
+
+  sentence.words.forEach(w => {
+    const id = String(w.id);
+    const head = String(w.head ?? '');
+    const { base } = parseRelation(w.relation);
+
+    if (head === '') add(id, 'missing-head', `${w.form} has no head`);
+    else if (!isRootHead(head) && !byId.has(head)) add(id, 'unknown-head', `${w.form} points at head ${head}, which does not exist`);
+
+    if (!w.relation) add(id, 'missing-relation', `${w.form} has no relation`);
+
+    // Follow the head chain; report each cycle once, on its lowest id
+    const path = [id];
+    let current = byId.get(head);
+    while (current && !isRootHead(current.head)) {
+      const cid = String(current.id);
+      if (cid === id) {
+        const key = [...path].sort().join(',');
+        if (!reportedCycles.has(key)) {
+          reportedCycles.add(key);
+          add(id, 'cycle', `Cycle: ${path.map(p => byId.get(p).form).join(' → ')} → ${w.form}`);
+        }
+        break;
+      }
+      if (path.includes(cid)) break; // a cycle further up, reported from its own members
+      path.push(cid);
+      current = byId.get(String(current.head));
+    }
+
+    if ((w.relation || '').split('_').includes('CO')) {
+      // Members are often governed by a preposition or conjunction that
+      // hangs from the coordinator, so look past AuxP/AuxC heads
+      let headWord = byId.get(head);
+      const passed = new Set();
+      while (headWord && TRANSPARENT.includes(parseRelation(headWord.relation).base) && !passed.has(headWord)) {
+        passed.add(headWord);
+        headWord = byId.get(String(headWord.head));
+      }
+      const headBase = parseRelation(headWord?.relation).base;
+      if (!COORDINATING.includes(headBase)) {
+        add(id, 'coordination',
+          `${w.form} is ${w.relation} but its head ${headWord ? `${headWord.form} (${headWord.relation || 'no relation'})` : 'is the root'} is not COORD/AuxX/AuxY`);
+      }
+    }
+
+    if (base === 'AuxP') {
+      const objects = (children.get(id) || []).filter(c => !NON_OBJECT.includes(parseRelation(c.relation).base));
+      if (!objects.length) add(id, 'auxp-object', `Preposition ${w.form} has no object`);
+    }
+
+    const postagProblem = checkPostag(w._displayPostag ?? w.postag ?? '');
+    if (postagProblem) add(id, 'postag', `${w.form}: ${postagProblem}`);
+  });
+
+  // Final punctuation (AuxK) on the root is expected, not a second root
+  const rootChildren = (children.get('0') || []).filter(w => parseRelation(w.relation).base !== 'AuxK');
+  if (rootChildren.length > 1) {
+    add(null, 'multiple-roots',
+      `${rootChildren.length} words attached to the root besides AuxK: ${rootChildren.map(w => w.form).join(', ')}`);
+  }
+
+  return problems;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: validateTreebank
+ * --------------------------------------------------------------------------
+ * Validates every sentence of the document.
+ *
+ * @param {Array<Object>} data - Parsed sentences (window.treebankData).
+ * @returns {Map<string, Array<Object>>} sentenceId → problems (only sentences with problems).
+ */
+export function validateTreebank(data) {
+  const result = new Map();
+  (data || []).forEach(sentence => {
+    const problems = validateSentence(sentence);
+    if (problems.length) result.set(sentence.id, problems);
+  });
+  return result;
+}
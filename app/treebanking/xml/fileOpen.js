@@ -0,0 +1,193 @@
+import { loadTreebankFromText } from './xmlLoader.js';
+import { setupSentenceSelector } from '../ui/navigation.js';
+import { displaySentence, resetSelection } from '../ui/sentenceDisplay.js';
+import { clearHistory } from '../ui/history.js';
+import { clearCollapsed } from '../tree/treeCollapse.js';
+import { offerSessionRestore } from './sessionStore.js';
+import { markSaved } from './saveXML.js';
+
+const XML_PICKER_TYPES = [{
+  description: "XML Files",
+  accept: { "application/xml": [".xml"] },
+}];
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupOpenFile
+ * --------------------------------------------------------------------------
+ * Wires the "Open" command: the #open header button, Ctrl+O, and dropping
+ * an XML file onto the tree view. Any of them loads the file with
+ * parseTreeBankXML and resets the workspace to its first sentence.
+ *
+ * @returns {void} Runs synchronously to attach the open/drop listeners.
+ */
+export function setupOpenFile() {
+  const openBtn = document.getElementById('open');
+  const dropZone = document.getElementById('tree-view');
+
+  openBtn?.addEventListener('click', pickTreebankFile);
+
+  document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'o') {
+      e.preventDefault();
+      pickTreebankFile();
+    }
+  });
+
+  if (!dropZone) return;
+
+  dropZone.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer?.types?.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    dropZone.classList.add('drop-target');
+  });
+
+  dropZone.addEventListener('dragleave', (e) => {
+    if (!dropZone.contains(e.relatedTarget)) dropZone.classList.remove('drop-target');
+  });
+
+  dropZone.addEventListener('drop', async (e) => {
+    if (!e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+    dropZone.classList.remove('drop-target');
+
+    // The DataTransfer is only readable during the event itself, so take
+    // the file and start the handle request before anything is awaited
+    const file = e.dataTransfer.files[0];
+    const item = e.dataTransfer.items?.[0];
+
+    // Chromium can hand out a writable handle for dropped files
+    const handleRequest = item && typeof item.getAsFileSystemHandle === 'function'
+      ? item.getAsFileSystemHandle()
+      : null;
+
+    let handle = null;
+    if (handleRequest) {
+      try {
+        handle = await handleRequest;
+      } catch (err) {
+        console.warn('No file handle for dropped file:', err);
+      }
+    }
+
+    await openTreebankFile(file, handle?.kind === 'file' ? handle : null);
+  });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: pickTreebankFile
+ * --------------------------------------------------------------------------
+ * Shows a file picker. Uses the File System Access API when available so
+ * the handle can be kept for saving, otherwise a plain <input type="file">.
+ *
+ * @returns {Promise<void>} Resolves once the chosen file is loaded (or the picker is cancelled).
+ */
+export async function pickTreebankFile() {
+  if (typeof window.showOpenFilePicker === 'function') {
+    try {
+      const [handle] = await window.showOpenFilePicker({ types: XML_PICKER_TYPES });
+      await openTreebankFile(await handle.getFile(), handle);
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error('Error opening file:', err);
+    }
+    return;
+  }
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.xml,application/xml,text/xml';
+  input.addEventListener('change', () => {
+    if (input.files?.length) openTreebankFile(input.files[0], null);
+  });
+  input.click();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: openTreebankFile
+ * --------------------------------------------------------------------------
+ * Reads and parses a Treebank XML file, then resets the sentence selector,
+ * navigation, tree and tool panes to show its first sentence.
+ *
+ * @param {File} file - The file to read.
+ * @param {FileSystemFileHandle|null} handle - Handle to write back to, if any.
+ * @returns {Promise<boolean>} True if the file contained sentences and was loaded.
+ */
+export async function openTreebankFile(file, handle = null) {
+  if (!file) return false;
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (err) {
+    console.error('Error reading file:', err);
+    alert(`Could not read "${file.name}".`);
+    return false;
+  }
+
+  const data = loadTreebankFromText(text, { fileName: file.name, fileHandle: handle });
+  if (!data.length) {
+    alert(`"${file.name}" does not contain any <sentence> elements.`);
+    return false;
+  }
+
+  markSaved(); // what is on screen is what is on disk
+  await resetWorkspace();
+  await offerSessionRestore(); // unsaved work on this file from an earlier visit?
+  return true;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: resetWorkspace
+ * --------------------------------------------------------------------------
+ * Shows a newly loaded window.treebankData from scratch: closes the tools,
+ * clears the selection, undo history and collapse state, rebuilds the
+ * sentence selector and displays a sentence. Used after opening a file and
+ * after restoring a saved session.
+ *
+ * @param {string|number} [index] - Id of the sentence to show (defaults to
+ *        the first sentence, whatever its id).
+ * @returns {Promise<void>}
+ */
+export async function resetWorkspace(index = window.treebankData?.[0]?.id) {
+  resetToolPanes();
+  resetSelection();
+  clearHistory();
+  clearCollapsed();
+  window.selectedNode = null;
+  window.currentIndex = index;
+
+  await displaySentence(index);
+  setupSentenceSelector();
+  window.refreshProblems?.();
+  document.title = window.currentFileName
+    ? `${window.currentFileName} – Arethusa Lite`
+    : 'Arethusa Lite';
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: resetToolPanes
+ * --------------------------------------------------------------------------
+ * Closes whichever tool is open and restores the empty tool body, so no
+ * panel keeps showing words from the previous document.
+ *
+ * @returns {void}
+ */
+function resetToolPanes() {
+  document.querySelectorAll('#toolbar button').forEach(btn => btn.classList.remove('active'));
+  document.body.classList.remove('mode-morph');
+  window.isMorphActive = false;
+  window.isReadOnly = false;
+  d3.select('#sandbox svg')
+    .style('pointer-events', 'all')
+    .style('opacity', 1);
+
+  const toolBody = document.getElementById('tool-body');
+  if (toolBody) {
+    toolBody.innerHTML = `<p>Please select a tool from the bar above that you would like to use.</p>`;
+  }
+}
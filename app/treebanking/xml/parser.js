@@ -1,8 +1,20 @@
 /** Parses a full Treebank XML containing multiple <sentence> elements.
  * Returns a structured array of sentence objects, each with its own words.
  *
+ * Everything the app does not edit is kept so the serializer can write it
+ * back unchanged:
+ *   - `sentences.meta` holds the <treebank> root attributes and the raw XML
+ *     of every non-sentence child (<date>, <annotator>, ...).
+ *   - each sentence keeps its full attribute list in `attributes`
+ *     (document_id, subdoc, span, ...) and any non-word children in `extra`,
+ *     with the id of the word each one follows in `extraAfter` ('' if it
+ *     comes before the first word).
+ *   - each word keeps the names of its original attributes, in document
+ *     order, in `_attrOrder`.
+ *
  * @param {string} xmlString - The XML file contents as a string
- * @returns {Array<Object>} - Array of parsed sentences { id, words: [...] }
+ * @returns {Array<Object>} - Array of parsed sentences { id, attributes, words: [...] }
+ *                            with a `meta` property describing the document
  */
 export default function parseTreeBankXML(xmlString) {
   const parser = new DOMParser();
@@ -15,48 +27,147 @@ export default function parseTreeBankXML(xmlString) {
     return [];
   }
 
-  // Helper: parse attributes (reuses your alias logic)
-  const parseWordAttributes = wordEl => {
-    const wordObj = {};
-
-    for (const attr of wordEl.attributes) {
-      wordObj[attr.name] = attr.value;
+  const rawXML = rawXMLWriter(xmlDoc);
 
-      if (attr.name.startsWith("alph:")) {
-        const alias = attr.name.split(":")[1];
-        wordObj[alias] = attr.value;
-      }
+  // Map through each sentence and gather words
+  const parsedSentences = sentences.map(sentence => parseSentenceElement(sentence, rawXML));
 
-      if (attr.name.startsWith("sgdt:")) {
-        const alias = "sgdt_" + attr.name.split(":")[1];
-        wordObj[alias] = attr.value;
-      }
+  // Document-level metadata: root attributes plus the non-sentence children
+  // that appear before and after the sentences
+  const root = xmlDoc.documentElement;
+  const meta = { rootAttributes: attributeList(root), leading: [], trailing: [] };
+  let seenSentence = false;
+  for (const node of root.childNodes) {
+    if (node.nodeType === 1 && node.nodeName === "sentence") {
+      seenSentence = true;
+      continue;
     }
+    if (node.nodeType !== 1 && node.nodeType !== 8) continue;
+    (seenSentence ? meta.trailing : meta.leading).push(rawXML(node));
+  }
+  parsedSentences.meta = meta;
+
+  return parsedSentences;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: parseSentenceXML
+ * --------------------------------------------------------------------------
+ * Parses the XML of a single <sentence> (as edited in the XML tool) with
+ * the same rules as parseTreeBankXML(). The text is wrapped in a <treebank>
+ * carrying the document's namespace declarations, on the same line, so
+ * `alph:`/`sgdt:` attributes parse and error line numbers match the text.
+ *
+ * @param {string} xmlString - XML of one <sentence> element.
+ * @param {Object} [meta] - Document metadata (`treebankData.meta`).
+ * @returns {{sentence: Object|null, errors: Array<{line: number|null, message: string}>}}
+ *   The parsed sentence, or the well-formedness errors found.
+ */
+export function parseSentenceXML(xmlString, meta) {
+  const namespaces = (meta?.rootAttributes || [])
+    .filter(([name]) => name === "xmlns" || name.startsWith("xmlns:"))
+    .map(([name, value]) => ` ${name}="${value.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}"`)
+    .join("");
+
+  const xmlDoc = new DOMParser().parseFromString(
+    `<treebank${namespaces}>${xmlString}</treebank>`, "application/xml");
+
+  const parseError = xmlDoc.querySelector("parsererror");
+  if (parseError) {
+    const text = parseError.textContent.trim();
+    const line = text.match(/line(?: number)?\s*(\d+)/i) || text.match(/^(\d+):\d+/m);
+    // Keep just the message (Chrome wraps it in a page-level explanation,
+    // others prefix "line:column:")
+    const message = (text.match(/error on line \d+ at column \d+:\s*([\s\S]*?)(?:\s*Below is a rendering|$)/)?.[1]
+      || text.split("\n")[0]).replace(/^\d+:\d+:\s*/, "");
+    return {
+      sentence: null,
+      errors: [{ line: line ? Number(line[1]) : null, message }]
+    };
+  }
+
+  const elements = Array.from(xmlDoc.documentElement.children);
+  if (elements.length !== 1 || elements[0].nodeName !== "sentence") {
+    return { sentence: null, errors: [{ line: 1, message: "Expected exactly one <sentence> element." }] };
+  }
+
+  return { sentence: parseSentenceElement(elements[0], rawXMLWriter(xmlDoc)), errors: [] };
+}
 
-    wordObj.word = wordEl.getAttribute("form") || "";
-    wordObj.head = wordEl.getAttribute("head") || "";
-    wordObj.lemma = wordEl.getAttribute("lemma") || "";
-    wordObj.postag = wordEl.getAttribute("postag") || "";
-    wordObj.relation = wordEl.getAttribute("relation") || "";
+// Lists an element's attributes as ordered [name, value] pairs
+function attributeList(el) {
+  return Array.from(el.attributes).map(attr => [attr.name, attr.value]);
+}
 
-    const text = wordEl.textContent.trim();
-    if (text) {
-      wordObj.textContent = text;
+// Raw XML for an element or comment we do not model
+function rawXMLWriter(xmlDoc) {
+  const serializer = new XMLSerializer();
+  return node => serializer.serializeToString(node)
+    // the serializer repeats namespace declarations already on <treebank>
+    .replace(/ xmlns(:[\w-]+)?="[^"]*"/g, (decl, prefix) =>
+      xmlDoc.documentElement.getAttribute(`xmlns${prefix || ''}`) !== null ? '' : decl);
+}
+
+// Parses one <sentence> element with its words
+function parseSentenceElement(sentence, rawXML) {
+  const sentenceId = sentence.getAttribute("id") || "";
+  const words = Array.from(sentence.querySelectorAll("word")).map(parseWordAttributes);
+
+  // Keep any other child elements or comments (e.g. <primary>, <comment>),
+  // and where they were among the words
+  const extra = [];
+  const extraAfter = [];
+  let previousWord = "";
+  for (const node of sentence.childNodes) {
+    if (node.nodeType === 1 && node.nodeName === "word") {
+      previousWord = node.getAttribute("id") || "";
+    } else if (node.nodeType === 1 || node.nodeType === 8) {
+      extra.push(rawXML(node));
+      extraAfter.push(previousWord);
     }
+  }
 
-    return wordObj;
+  return {
+    id: sentenceId,
+    attributes: attributeList(sentence),
+    extra,
+    extraAfter,
+    words
   };
+}
 
-  // Map through each sentence and gather words
-  const parsedSentences = sentences.map(sentence => {
-    const sentenceId = sentence.getAttribute("id") || "";
-    const words = Array.from(sentence.querySelectorAll("word")).map(parseWordAttributes);
+// Parses a <word>'s attributes, with `alph:`/`sgdt:` aliases
+function parseWordAttributes(wordEl) {
+  const wordObj = {};
 
-    return {
-      id: sentenceId,
-      words
-    };
-  });
+  for (const attr of wordEl.attributes) {
+    wordObj[attr.name] = attr.value;
 
-  return parsedSentences;
-}
\ No newline at end of file
+    if (attr.name.startsWith("alph:")) {
+      const alias = attr.name.split(":")[1];
+      wordObj[alias] = attr.value;
+    }
+
+    if (attr.name.startsWith("sgdt:")) {
+      const alias = "sgdt_" + attr.name.split(":")[1];
+      wordObj[alias] = attr.value;
+    }
+  }
+
+  // Remember which attributes the document actually had, in order
+  wordObj._attrOrder = Array.from(wordEl.attributes, attr => attr.name);
+
+  wordObj.word = wordEl.getAttribute("form") || "";
+  wordObj.head = wordEl.getAttribute("head") || "";
+  wordObj.lemma = wordEl.getAttribute("lemma") || "";
+  wordObj.postag = wordEl.getAttribute("postag") || "";
+  wordObj.relation = wordEl.getAttribute("relation") || "";
+
+  const text = wordEl.textContent.trim();
+  if (text) {
+    wordObj.textContent = text;
+  }
+
+  return wordObj;
+}
@@ -51,9 +51,8 @@
  *
  *   5. The autosave logic then:
  *        a) Rebuilds the current XML string from the live JS objects.
- *        b) Stores that serialized XML into:
- *              - a hidden global variable (`window.treebankXML`)
- *              - OR browser storage (`localStorage`) for persistence between sessions.
+ *        b) Schedules a snapshot of the whole document state in IndexedDB
+ *           (see `sessionStore.js`), so work survives a closed tab or crash.
  *        c) Updates the XML tab view (`updateXMLIfActive()`) so the user sees
  *           the changes immediately reflected as proper `<word>` elements.
  *        d) Provides UI feedback — e.g., flashing “Saving…” then “Saved”.
@@ -95,14 +94,17 @@
  * 3. Where the Saved Data Lives
  * -----------------------------------------------------------------------------
  *
- * Currently, autosave works **in-memory** — meaning all updates go to
- * `window.treebankData` and the live DOM views. When the user downloads the
- * XML via the “Download” button, it simply writes the current serialized
- * string (`window.treebankXML`) to a `.xml` file on disk.
+ * All updates go to `window.treebankData` and the live DOM views first.
+ * A debounced copy of the full state — sentences, user `forms`,
+ * `activeForm`, `_doc` snapshots and document metadata — is written to
+ * IndexedDB by `sessionStore.js`, keyed by document, with a few rolling
+ * snapshots. On the next visit the app offers to restore or discard it.
  *
- * In future versions, this same mechanism could easily write to:
- *   • LocalStorage (for browser-based autosave persistence)
- *   • A backend REST API endpoint (to update the stored document remotely)
+ * Once a file handle exists (the file was opened with the File System Access
+ * API, or saved once with “Save”), edits are also written through to that
+ * file, debounced, after re-checking write permission. “Download” always
+ * writes a fresh copy. Until an edit is on disk the Save button shows an
+ * unsaved-changes dot, and closing the page asks for confirmation.
  *
  *
  * -----------------------------------------------------------------------------
@@ -125,8 +127,10 @@
  *
  * - When `triggerAutoSave()` runs:
  *      → "Saving..." toast appears instantly.
- * - After XML rebuild completes:
- *      → Toast changes to "Saved" for 1.5 seconds, then fades.
+ * - After the write completes (the file, or only the browser copy):
+ *      → Toast changes to "Saved" for 2 seconds, then fades.
+ * - If writing the file fails (e.g. permission was withdrawn):
+ *      → Toast turns red, "Save failed!", with the reason as its tooltip.
  * - The user can continue editing normally; further changes restart the cycle.
  *
  *
@@ -146,36 +150,34 @@
  *
  * =============================================================================
  */
-
+import { serializeTreebank } from './serializer.js';
+import { scheduleSessionSave } from './sessionStore.js';
 
 // Track the most recent XML and debounce timer for autosave
 let lastXML = "";
 let autoSaveTimer = null;
+let fileWrites = Promise.resolve(); // autosaves to the file run one at a time
+
+// Unsaved-changes tracking: every edit bumps editCount; a successful write
+// to disk records the editCount it contained
+let editCount = 0;
+let savedCount = 0;
+
+const FILE_SAVE_DELAY = 2000; // ms after the last edit before writing the file
+const LOCAL_SAVE_KEY = 'arethusa.savedDocument'; // fallback copy in localStorage
 
 /**
  * --------------------------------------------------------------------------
  * FUNCTION: buildXML
  * --------------------------------------------------------------------------
  * Converts window.treebankData → XML string
+ * Delegates to serializeTreebank() so Save, Download and the XML tab all
+ * share one lossless serializer.
  * --------------------------------------------------------------------------
  */
 export function buildXML() {
   if (!window.treebankData) return "";
-
-  let xmlOut = '<?xml version="1.0" encoding="UTF-8"?>\n<treebank>\n';
-  for (const s of window.treebankData) {
-    xmlOut += `  <sentence id="${s.id}">\n`;
-    for (const w of s.words) {
-      const lemma  = (w._displayLemma  || w.lemma  || '').replace(/"/g, '&quot;');
-      const postag = (w._displayPostag || w.postag || '').replace(/"/g, '&quot;');
-      const relation = w.relation || "";
-      const head = w.head || "0";
-      xmlOut += `    <word id="${w.id}" form="${w.form}" lemma="${lemma}" postag="${postag}" relation="${relation}" head="${head}" />\n`;
-    }
-    xmlOut += '  </sentence>\n';
-  }
-  xmlOut += '</treebank>';
-  return xmlOut;
+  return serializeTreebank(window.treebankData);
 }
 
 /**
@@ -183,43 +185,138 @@ export function buildXML() {
  * FUNCTION: saveCurrentTreebank
  * --------------------------------------------------------------------------
  * Manual save — immediately writes XML to file if a file handle exists,
- * otherwise prompts the user to select a save location.
+ * otherwise prompts the user to select a save location. As it runs from a
+ * click, it may ask the browser again for write permission.
+ *
+ * Browsers without the File System Access API (Firefox, Safari) cannot
+ * write files: there Save downloads the XML and keeps a copy in
+ * localStorage (see saveMode()).
  * --------------------------------------------------------------------------
  */
 export async function saveCurrentTreebank() {
   try {
+    const version = editCount;
     const xmlOut = buildXML();
     if (!xmlOut) {
       alert("No treebank data to save!");
       return;
     }
 
+    if (saveMode() === "download") {
+      downloadXML(xmlOut);
+      const kept = saveToLocalStorage(xmlOut);
+      savedCount = version;
+      updateSaveIndicators();
+      showSaveStatus("saved");
+      if (!kept) console.warn("Downloaded, but the browser copy could not be stored.");
+      lastXML = xmlOut;
+      return;
+    }
+
     // If user already opened/uploaded a file, reuse its handle
     if (window.uploadedFileHandle) {
-      const writable = await window.uploadedFileHandle.createWritable();
-      await writable.write(xmlOut);
-      await writable.close();
+      await writeXMLToHandle(window.uploadedFileHandle, xmlOut, { interactive: true });
       console.log("Saved to existing file handle.");
     } else {
       // Otherwise ask the user where to save
       const handle = await window.showSaveFilePicker({
-        suggestedName: "treebank.xml",
+        suggestedName: window.currentFileName || "treebank.xml",
         types: [{
           description: "XML Files",
           accept: { "application/xml": [".xml"] },
         }],
       });
 
-      const writable = await handle.createWritable();
-      await writable.write(xmlOut);
-      await writable.close();
+      await writeXMLToHandle(handle, xmlOut, { interactive: true });
       window.uploadedFileHandle = handle; // remember for next autosaves
       console.log("File saved and handle stored for future autosaves.");
     }
 
     lastXML = xmlOut;
+    savedCount = version;
+    updateSaveIndicators();
+    showSaveStatus("saved");
   } catch (err) {
+    if (err.name === "AbortError") return; // picker cancelled
     console.error("Error saving XML:", err);
+    showSaveStatus("failed", err.message);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: saveMode
+ * --------------------------------------------------------------------------
+ * How Save works in this browser:
+ *   • "file"     — writes to the opened file (and autosaves to it);
+ *   • "picker"   — asks where to save, then works like "file";
+ *   • "download" — no File System Access API: downloads a copy and keeps
+ *                  one in localStorage.
+ *
+ * @returns {"file"|"picker"|"download"}
+ */
+export function saveMode() {
+  if (window.uploadedFileHandle) return "file";
+  return typeof window.showSaveFilePicker === "function" ? "picker" : "download";
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: downloadXML
+ * --------------------------------------------------------------------------
+ * Offers the document as a file download (Blob + temporary link). Used by
+ * the Download button and by Save where files cannot be written directly.
+ *
+ * @param {string} [xmlOut=buildXML()] - Document text.
+ * @returns {void}
+ */
+export function downloadXML(xmlOut = buildXML()) {
+  if (!xmlOut) return;
+
+  const blob = new Blob([xmlOut], { type: "application/xml" });
+  const el = document.createElement("a");
+  el.href = URL.createObjectURL(blob);
+  el.download = window.currentFileName || "Treebank.xml";
+  document.body.appendChild(el);
+  el.click();
+  document.body.removeChild(el);
+  URL.revokeObjectURL(el.href);
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: readLocalSave
+ * --------------------------------------------------------------------------
+ * The copy kept in localStorage by the last download-mode Save.
+ *
+ * @returns {{fileName: string, savedAt: number, xml: string}|null}
+ */
+export function readLocalSave() {
+  try {
+    return JSON.parse(localStorage.getItem(LOCAL_SAVE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearLocalSave() {
+  localStorage.removeItem(LOCAL_SAVE_KEY);
+}
+
+/**
+ * Keeps the saved XML in localStorage; false if it does not fit.
+ */
+function saveToLocalStorage(xmlOut) {
+  try {
+    localStorage.setItem(LOCAL_SAVE_KEY, JSON.stringify({
+      fileName: window.currentFileName || "",
+      savedAt: Date.now(),
+      xml: xmlOut
+    }));
+    return true;
+  } catch (err) {
+    console.warn("Could not keep a copy in localStorage:", err);
+    return false;
   }
 }
 
@@ -227,7 +324,9 @@ export async function saveCurrentTreebank() {
  * --------------------------------------------------------------------------
  * FUNCTION: triggerAutoSave
  * --------------------------------------------------------------------------
- * Debounced autosave called whenever edits occur.
+ * Called whenever edits occur. Refreshes the views that show the document,
+ * schedules the IndexedDB snapshot and, once a file handle exists, a
+ * debounced write of the XML to that file.
  * --------------------------------------------------------------------------
  */
 export function triggerAutoSave() {
@@ -236,41 +335,201 @@ export function triggerAutoSave() {
       window.updateXMLIfActive();
     }
 
-    const statusEl = document.getElementById("autosave-status");
-    if (!statusEl) return;
-
-    // Show Saving...
-    statusEl.textContent = "Saving...";
-    statusEl.style.background = "#333";
-    statusEl.style.opacity = "1";
-    statusEl.style.transform = "translateY(0)";
+    // Re-validate so the problem badge and panel reflect the edit
+    if (typeof window.refreshProblems === "function") {
+      window.refreshProblems();
+    }
 
-    clearTimeout(window._autosaveTransition);
-    window._autosaveTransition = setTimeout(() => {
-      statusEl.textContent = "Saved";
-      statusEl.style.background = "#2e7d32"; 
-    }, 1000);
+    // Persist the edit to IndexedDB (debounced)
+    scheduleSessionSave();
 
-    clearTimeout(window._autosaveFade);
-    window._autosaveFade = setTimeout(() => {
-      statusEl.style.opacity = "0";
-      statusEl.style.transform = "translateY(10px)";
-    }, 3000);
+    editCount++;
+    updateSaveIndicators();
+    showSaveStatus("saving");
 
+    if (window.uploadedFileHandle) {
+      // Write through to the opened file once the edits settle
+      clearTimeout(autoSaveTimer);
+      autoSaveTimer = setTimeout(() => {
+        fileWrites = fileWrites.then(autoSaveToFile);
+      }, FILE_SAVE_DELAY);
+    } else {
+      // Only the browser copy is kept up to date
+      clearTimeout(window._autosaveTransition);
+      window._autosaveTransition = setTimeout(() => showSaveStatus("saved"), 1000);
+    }
   } catch (err) {
     console.error("AutoSave failed:", err);
-    const statusEl = document.getElementById("autosave-status");
-    if (statusEl) {
-      statusEl.textContent = "Save failed!";
-      statusEl.style.background = "#c62828";
-      statusEl.style.opacity = "1";
-      clearTimeout(window._autosaveFade);
-      window._autosaveFade = setTimeout(() => {
-        statusEl.style.opacity = "0";
-        statusEl.style.transform = "translateY(10px)";
-      }, 4000);
+    showSaveStatus("failed", err.message);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: autoSaveToFile
+ * --------------------------------------------------------------------------
+ * Writes the document to window.uploadedFileHandle if there are unsaved
+ * edits. A failure (including missing permission) shows "Save failed!" and
+ * leaves the document marked as unsaved; the next edit or Save retries.
+ *
+ * @returns {Promise<void>}
+ */
+async function autoSaveToFile() {
+  const handle = window.uploadedFileHandle;
+  if (!handle || !isDirty()) {
+    showSaveStatus("saved"); // already written (e.g. by Save) in the meantime
+    return;
+  }
+
+  const version = editCount;
+  try {
+    const xmlOut = buildXML();
+    await writeXMLToHandle(handle, xmlOut);
+    lastXML = xmlOut;
+    savedCount = version;
+    updateSaveIndicators();
+    showSaveStatus("saved");
+  } catch (err) {
+    console.error("Autosave to file failed:", err);
+    showSaveStatus("failed", err.name === "NotAllowedError"
+      ? "No permission to write the file — click Save to allow it."
+      : err.message);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: writeXMLToHandle
+ * --------------------------------------------------------------------------
+ * Writes XML text to a file handle after checking write permission, which
+ * the browser may have dropped since the file was opened (e.g. after a
+ * reload). Permission can only be requested again from a user gesture.
+ *
+ * @param {FileSystemFileHandle} handle - File to write.
+ * @param {string} xmlOut - Document text.
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=false] - May prompt for permission.
+ * @returns {Promise<void>}
+ */
+async function writeXMLToHandle(handle, xmlOut, { interactive = false } = {}) {
+  if (typeof handle.queryPermission === "function") {
+    const mode = { mode: "readwrite" };
+    let permission = await handle.queryPermission(mode);
+    if (permission !== "granted" && interactive) {
+      permission = await handle.requestPermission(mode);
+    }
+    if (permission !== "granted") {
+      throw new DOMException("Write permission to the file was not granted.", "NotAllowedError");
     }
   }
+
+  const writable = await handle.createWritable();
+  await writable.write(xmlOut);
+  await writable.close();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: isDirty / markSaved / markUnsaved
+ * --------------------------------------------------------------------------
+ * Whether the document has edits that are not in a file on disk. Opening a
+ * file marks it saved; restoring a browser session marks it unsaved.
+ * --------------------------------------------------------------------------
+ */
+export function isDirty() {
+  return editCount !== savedCount;
+}
+
+export function markSaved() {
+  savedCount = editCount;
+  updateSaveIndicators();
+}
+
+export function markUnsaved() {
+  editCount++;
+  updateSaveIndicators();
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupUnsavedChangesGuard
+ * --------------------------------------------------------------------------
+ * Asks for confirmation before the page is closed or reloaded while there
+ * are unsaved changes.
+ *
+ * @returns {void}
+ */
+export function setupUnsavedChangesGuard() {
+  window.addEventListener("beforeunload", (e) => {
+    if (!isDirty()) return;
+    e.preventDefault();
+    e.returnValue = ""; // older browsers need this to show the prompt
+  });
+  updateSaveIndicators();
+}
+
+/**
+ * Marks the Save button while there are unsaved changes, and tells the user
+ * in #save-mode what Save does in this browser.
+ */
+function updateSaveIndicators() {
+  const button = document.getElementById("save");
+  const dirty = isDirty();
+  if (button) {
+    button.classList.toggle("dirty", dirty);
+    button.title = dirty ? "Save (unsaved changes)" : "Save";
+  }
+
+  const modeEl = document.getElementById("save-mode");
+  if (!modeEl) return;
+  const mode = saveMode();
+  modeEl.dataset.mode = mode;
+  if (mode === "file") {
+    modeEl.textContent = `Autosaving to ${window.uploadedFileHandle.name || window.currentFileName || "file"}`;
+    modeEl.title = "Edits are written to the opened file automatically.";
+  } else if (mode === "picker") {
+    modeEl.textContent = "Not saved to a file yet";
+    modeEl.title = "Click Save to choose a file; later edits are then saved to it automatically.";
+  } else {
+    modeEl.textContent = "Save downloads a copy";
+    modeEl.title = "This browser cannot write files directly. Save downloads the XML "
+      + "and keeps a copy in the browser; edits are also kept in the browser as you work.";
+  }
+}
+
+/**
+ * Shows "Saving...", "Saved" or the red "Save failed!" in #autosave-status.
+ * The failure reason goes in the tooltip.
+ */
+function showSaveStatus(state, reason = "") {
+  const statusEl = document.getElementById("autosave-status");
+  if (!statusEl) return;
+
+  clearTimeout(window._autosaveFade);
+  statusEl.title = "";
+  statusEl.style.opacity = "1";
+  statusEl.style.transform = "translateY(0)";
+
+  if (state === "saving") {
+    statusEl.textContent = "Saving...";
+    statusEl.style.background = "#333";
+    return; // stays until saved or failed
+  }
+
+  clearTimeout(window._autosaveTransition);
+  if (state === "saved") {
+    statusEl.textContent = "Saved";
+    statusEl.style.background = "#2e7d32";
+  } else {
+    statusEl.textContent = "Save failed!";
+    statusEl.title = reason;
+    statusEl.style.background = "#c62828";
+  }
+
+  window._autosaveFade = setTimeout(() => {
+    statusEl.style.opacity = "0";
+    statusEl.style.transform = "translateY(10px)";
+  }, state === "saved" ? 2000 : 4000);
 }
 
 // Expose for manual testing in browser console
@@ -0,0 +1,154 @@
+import { parseSentenceXML } from './parser.js';
+import { serializeSentence } from './serializer.js';
+import { validateSentence } from '../validation/validator.js';
+import { recordChange } from '../ui/history.js';
+import { refreshSentenceView } from '../ui/sentenceDisplay.js';
+import { triggerAutoSave } from './saveXML.js';
+
+/**
+ * =============================================================================
+ * SENTENCE XML EDITING
+ * =============================================================================
+ * Round trip for the XML tool's edit mode: the current sentence is written
+ * with the serializer, edited as text, read back with the parser's rules and
+ * checked before it replaces the sentence in `window.treebankData`.
+ *
+ * Checks that block applying (each reported with its line):
+ *   - the text must be well-formed XML with exactly one <sentence>;
+ *   - the sentence id must stay the same (navigation and history use it);
+ *   - every word needs an id, and ids must be unique;
+ *   - heads must point at an existing word (or 0), without cycles.
+ * Other annotation problems (missing relations, postags, ...) are left to
+ * the Problems tool, as for any other edit.
+ * =============================================================================
+ */
+
+// App-only morphology state carried over to words whose lemma and postag
+// were not edited
+const MORPH_FIELDS = ['lemma', 'postag', '_doc', '_displayLemma', '_displayPostag', 'forms', 'activeForm', 'source'];
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: sentenceXMLSource
+ * --------------------------------------------------------------------------
+ * The editable XML of a sentence: the same text Save writes, unindented.
+ *
+ * @param {Object} sentence - Sentence object from the data model.
+ * @returns {string} XML of the <sentence> element.
+ */
+export function sentenceXMLSource(sentence) {
+  return serializeSentence(sentence, '');
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: readSentenceXML
+ * --------------------------------------------------------------------------
+ * Parses and checks edited sentence XML.
+ *
+ * @param {string} text - Edited XML of one <sentence>.
+ * @param {Object} current - The sentence being edited.
+ * @returns {{sentence: Object|null, errors: Array<{line: number|null, message: string}>}}
+ *   The new sentence, or the errors (sorted by line) that prevent applying it.
+ */
+export function readSentenceXML(text, current) {
+  const { sentence, errors } = parseSentenceXML(text, window.treebankData?.meta);
+  if (!sentence) return { sentence, errors };
+
+  const lines = elementLines(text);
+  const wordLine = i => lines.words[i] ?? null;
+  const found = [];
+
+  if (sentence.id !== String(current.id)) {
+    found.push({
+      line: lines.sentence,
+      message: `The sentence id must stay "${current.id}" (found "${sentence.id}").`
+    });
+  }
+
+  const firstLine = new Map();
+  sentence.words.forEach((w, i) => {
+    if (!w.id) {
+      found.push({ line: wordLine(i), message: `Word ${i + 1}${w.form ? ` (${w.form})` : ''} has no id.` });
+    } else if (firstLine.has(w.id)) {
+      found.push({ line: wordLine(i), message: `Duplicate word id "${w.id}" (first on line ${firstLine.get(w.id)}).` });
+    } else {
+      firstLine.set(w.id, wordLine(i));
+    }
+  });
+
+  // Heads are only checked once the ids can be trusted
+  if (!found.length) {
+    validateSentence(sentence)
+      .filter(p => p.type === 'unknown-head' || p.type === 'cycle')
+      .forEach(p => found.push({ line: firstLine.get(p.wordId) ?? null, message: p.message }));
+  }
+
+  if (found.length) {
+    found.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+    return { sentence: null, errors: found };
+  }
+
+  carryOverMorphology(sentence, current);
+  return { sentence, errors: [] };
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: applySentenceXML
+ * --------------------------------------------------------------------------
+ * Replaces the displayed sentence's words, attributes and extra children
+ * with those read by readSentenceXML(), as one undoable edit.
+ *
+ * @param {Object} parsed - Sentence returned by readSentenceXML().
+ * @returns {void}
+ */
+export function applySentenceXML(parsed) {
+  const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+  if (!sentence) return;
+
+  recordChange('XML edit', () => {
+    sentence.words = parsed.words;
+    sentence.attributes = parsed.attributes;
+    sentence.extra = parsed.extra;
+    sentence.extraAfter = parsed.extraAfter;
+  });
+
+  refreshSentenceView();
+  triggerAutoSave();
+}
+
+/**
+ * Lines (1-based) of the <sentence> start tag and of each <word>, in
+ * document order. Comments are blanked first so a commented-out word is
+ * not counted.
+ */
+function elementLines(text) {
+  const blanked = text.replace(/<!--[\s\S]*?-->/g, m => m.replace(/[^\n]/g, ' '));
+  const lineAt = index => blanked.slice(0, index).split('\n').length;
+  const sentence = blanked.search(/<sentence[\s>/]/);
+  return {
+    sentence: sentence >= 0 ? lineAt(sentence) : 1,
+    words: [...blanked.matchAll(/<word[\s>/]/g)].map(m => lineAt(m.index))
+  };
+}
+
+/**
+ * Keeps user forms and the active form of words whose lemma and postag in
+ * the XML are still what was displayed; edited values become the word's
+ * document values instead.
+ */
+function carryOverMorphology(sentence, current) {
+  const previous = new Map((current.words || []).map(w => [String(w.id), w]));
+  sentence.words.forEach(w => {
+    const old = previous.get(w.id);
+    if (!old) return;
+    const unchanged =
+      w.lemma === (old._displayLemma ?? old.lemma ?? '') &&
+      w.postag === (old._displayPostag ?? old.postag ?? '');
+    if (!unchanged) return;
+    MORPH_FIELDS.forEach(field => {
+      if (old[field] !== undefined) w[field] = structuredClone(old[field]);
+    });
+  });
+}
@@ -0,0 +1,162 @@
+/**
+ * =============================================================================
+ * TREEBANK SERIALIZER
+ * =============================================================================
+ * Turns the in-memory data model (`window.treebankData`) back into Treebank
+ * XML. This is the only place XML text is produced, so Save, Download and
+ * autosave all write exactly the same document.
+ *
+ * The serializer is lossless for everything the app does not edit:
+ *   - <treebank> root attributes and the <date>/<annotator> blocks
+ *     (kept by parseTreeBankXML in `treebankData.meta`)
+ *   - every <sentence> attribute (document_id, subdoc, span, ...)
+ *   - every <word> attribute in its original order, including unknown
+ *     `alph:`/`sgdt:` attributes, `cite`, `insertion_id` and `artificial`
+ *
+ * Edited values (head, relation, active lemma/postag) replace the originals
+ * in place; attributes a word never had are only written when they have a
+ * value.
+ * =============================================================================
+ */
+
+// Attributes written for words that did not come from a document (or that
+// gained a value the document did not have), in Arethusa's usual order
+const WORD_ATTR_ORDER = ['id', 'form', 'lemma', 'postag', 'relation', 'head', 'insertion_id', 'artificial'];
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: escapeXML
+ * --------------------------------------------------------------------------
+ * Escapes a value for use in XML text or a double-quoted attribute.
+ *
+ * @param {*} value - Value to escape (null/undefined become "").
+ * @returns {string} Escaped string.
+ */
+export function escapeXML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: wordAttributeValue
+ * --------------------------------------------------------------------------
+ * Current value of one attribute of a word, preferring the live display
+ * values for lemma and postag (set by the Morph tool).
+ *
+ * @param {Object} word - Word object from the data model.
+ * @param {string} name - Attribute name as written in XML.
+ * @returns {string} Current attribute value.
+ */
+function wordAttributeValue(word, name) {
+  switch (name) {
+    case 'lemma':  return word._displayLemma  ?? word.lemma  ?? '';
+    case 'postag': return word._displayPostag ?? word.postag ?? '';
+    case 'form':   return word.form ?? word.word ?? '';
+    default:       return word[name] ?? '';
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: serializeWord
+ * --------------------------------------------------------------------------
+ * Builds the <word> element for a single word.
+ *
+ * @param {Object} word - Word object from the data model.
+ * @param {string} [indent="    "] - Leading whitespace for the line.
+ * @returns {string} XML for the word (no trailing newline).
+ */
+export function serializeWord(word, indent = '    ') {
+  const original = Array.isArray(word._attrOrder) ? word._attrOrder : [];
+  const names = [...original];
+
+  // New attributes (or new words) follow the canonical order, values only
+  WORD_ATTR_ORDER.forEach(name => {
+    if (names.includes(name)) return;
+    const value = wordAttributeValue(word, name);
+    if (name === 'head' && !original.length) {
+      names.push(name); // words created in the app always carry a head
+    } else if (value !== '') {
+      names.push(name);
+    }
+  });
+
+  const attrs = names.map(name => {
+    let value = wordAttributeValue(word, name);
+    if (name === 'head' && value === '' && !original.includes('head')) value = '0';
+    return `${name}="${escapeXML(value)}"`;
+  }).join(' ');
+
+  if (word.textContent) {
+    return `${indent}<word ${attrs}>${escapeXML(word.textContent)}</word>`;
+  }
+  return `${indent}<word ${attrs}/>`;
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: serializeSentence
+ * --------------------------------------------------------------------------
+ * Builds the <sentence> element with all of its words. Non-word children
+ * (`extra`) are written back after the word they followed (`extraAfter`),
+ * or after all words if that word no longer exists.
+ *
+ * @param {Object} sentence - Sentence object { id, attributes, extra, extraAfter, words }.
+ * @param {string} [indent="  "] - Leading whitespace for the sentence line.
+ * @returns {string} XML for the sentence (no trailing newline).
+ */
+export function serializeSentence(sentence, indent = '  ') {
+  const attributes = Array.isArray(sentence.attributes) ? sentence.attributes : [];
+  const attrs = [['id', sentence.id], ...attributes.filter(([name]) => name !== 'id')]
+    .map(([name, value]) => `${name}="${escapeXML(value)}"`)
+    .join(' ');
+
+  const childIndent = indent + '  ';
+  const lines = [`${indent}<sentence ${attrs}>`];
+
+  // Each extra child is written once, at the first place it belongs
+  const pending = (sentence.extra || []).map((raw, i) => ({ raw, after: sentence.extraAfter?.[i] }));
+  const writeExtra = belongs => {
+    for (let i = 0; i < pending.length; i++) {
+      if (!belongs(pending[i].after)) continue;
+      lines.push(childIndent + pending[i].raw);
+      pending.splice(i--, 1);
+    }
+  };
+
+  writeExtra(after => after === '');
+  (sentence.words || []).forEach(w => {
+    lines.push(serializeWord(w, childIndent));
+    writeExtra(after => after !== undefined && String(after) === String(w.id));
+  });
+  writeExtra(() => true);
+  lines.push(`${indent}</sentence>`);
+  return lines.join('\n');
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: serializeTreebank
+ * --------------------------------------------------------------------------
+ * Builds a complete Treebank XML document from an array of sentences.
+ *
+ * @param {Array<Object>} sentences - Parsed sentences (with optional `meta`).
+ * @param {Object} [meta=sentences.meta] - Document metadata from the parser.
+ * @returns {string} Complete XML document.
+ */
+export function serializeTreebank(sentences, meta = sentences?.meta) {
+  const rootAttrs = (meta?.rootAttributes || [])
+    .map(([name, value]) => ` ${name}="${escapeXML(value)}"`)
+    .join('');
+
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', `<treebank${rootAttrs}>`];
+  (meta?.leading || []).forEach(raw => lines.push('  ' + raw));
+  (sentences || []).forEach(s => lines.push(serializeSentence(s)));
+  (meta?.trailing || []).forEach(raw => lines.push('  ' + raw));
+  lines.push('</treebank>');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,312 @@
+import { buildXML, markUnsaved, readLocalSave, clearLocalSave } from './saveXML.js';
+import parseTreeBankXML from './parser.js';
+import { resetWorkspace } from './fileOpen.js';
+
+/**
+ * =============================================================================
+ * SESSION RECOVERY — IndexedDB snapshots of the working document
+ * =============================================================================
+ * Every edit (triggerAutoSave) schedules a debounced write of the complete
+ * document state to IndexedDB: all sentences with their user `forms`,
+ * `activeForm` and `_doc` snapshots, the document metadata, the displayed
+ * sentence and, where the browser allows it, the file handle.
+ *
+ * Snapshots are keyed by document: the opened file's name (or the bundled
+ * sample's) plus a hash of what identifies its content, so two files with
+ * the same name keep separate sessions. Writes within SNAPSHOT_INTERVAL
+ * update the newest snapshot; after
+ * that a new one is started, and only the MAX_SNAPSHOTS newest are kept, so
+ * an earlier state is still there if the latest one is not wanted.
+ *
+ * On load (and after opening a file with saved work), a banner offers to
+ * restore the newest snapshot — or an older one — or to discard them.
+ * Where IndexedDB has nothing (or is unavailable), the copy kept in
+ * localStorage by a download-mode Save is offered instead.
+ * =============================================================================
+ */
+
+const DB_NAME = 'arethusa-lite';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+
+const SAVE_DELAY = 1500;                    // debounce after the last edit
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000;    // start a new snapshot after 5 minutes
+const MAX_SNAPSHOTS = 5;                    // per document
+const DEFAULT_DOC = 'treebank.xml';         // the bundled sample
+
+let dbPromise = null;
+let saveTimer = null;
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: setupSessionRecovery
+ * --------------------------------------------------------------------------
+ * Flushes a pending snapshot when the page is hidden or closed, then offers
+ * to restore the newest saved session, if any.
+ *
+ * @returns {Promise<void>}
+ */
+export async function setupSessionRecovery() {
+  const flush = () => {
+    if (saveTimer) saveSession();
+  };
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+
+  await offerSessionRestore({ anyDocument: true });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: scheduleSessionSave
+ * --------------------------------------------------------------------------
+ * Debounced snapshot of the current document; called by triggerAutoSave().
+ *
+ * @returns {void}
+ */
+export function scheduleSessionSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveSession, SAVE_DELAY);
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: saveSession
+ * --------------------------------------------------------------------------
+ * Writes the current document to IndexedDB right away, updating the newest
+ * snapshot or starting a new one (see SNAPSHOT_INTERVAL), and prunes old
+ * snapshots. Failures are logged; editing carries on in memory.
+ *
+ * @returns {Promise<void>}
+ */
+export async function saveSession() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  const data = window.treebankData;
+  if (!data?.length || typeof indexedDB === 'undefined') return;
+
+  try {
+    const docKey = currentDocKey();
+    const snapshots = await listSnapshots(docKey);
+    const latest = snapshots[0];
+    const now = Date.now();
+
+    const record = {
+      docKey,
+      fileName: window.currentFileName || '',
+      createdAt: latest && now - latest.createdAt < SNAPSHOT_INTERVAL ? latest.createdAt : now,
+      savedAt: now,
+      currentIndex: window.currentIndex ?? data[0].id,
+      sentences: Array.from(data),   // the array's `meta` is stored on its own
+      meta: data.meta || null,
+      xml: buildXML(),
+      fileHandle: window.uploadedFileHandle || null
+    };
+    if (record.createdAt === latest?.createdAt) record.id = latest.id;
+
+    await withStore('readwrite', store => {
+      try {
+        store.put(record);
+      } catch (err) {
+        // Some browsers cannot store file handles; keep the rest
+        if (err.name !== 'DataCloneError') throw err;
+        store.put({ ...record, fileHandle: null });
+      }
+    });
+
+    const stale = (await listSnapshots(docKey)).slice(MAX_SNAPSHOTS);
+    if (stale.length) {
+      await withStore('readwrite', store => stale.forEach(s => store.delete(s.id)));
+    }
+  } catch (err) {
+    console.warn('Could not save the session to IndexedDB:', err);
+  }
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: offerSessionRestore
+ * --------------------------------------------------------------------------
+ * Shows the restore banner when there is saved work that differs from what
+ * is on screen: for the current document, or (on start-up) for any document.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.anyDocument=false] - Also offer sessions of other documents.
+ * @returns {Promise<void>}
+ */
+export async function offerSessionRestore({ anyDocument = false } = {}) {
+  const banner = document.getElementById('session-restore');
+  if (!banner) return;
+
+  let snapshots = [];
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      snapshots = await listSnapshots(anyDocument ? null : currentDocKey());
+    } catch (err) {
+      console.warn('Could not read saved sessions:', err);
+    }
+  }
+
+  // Keep to the newest document's snapshots
+  const docKey = snapshots[0]?.docKey;
+  snapshots = snapshots.filter(s => s.docKey === docKey);
+  if (!snapshots.length) snapshots = localSnapshot(anyDocument);
+  if (!snapshots.length) return hideBanner();
+
+  // Skip what is already open
+  const first = snapshots[0];
+  if (first.docKey === currentDocKey() && first.xml === buildXML()) return hideBanner();
+
+  const name = first.fileName || DEFAULT_DOC;
+  const describe = (s, i) => s.local
+    ? `Saved copy: ${new Date(s.savedAt).toLocaleString()}`
+    : `${i === 0 ? 'Latest' : 'Earlier'}: ${new Date(s.savedAt).toLocaleString()}
+          (${s.sentences.length} sentences)`;
+  banner.innerHTML = `
+    <span>${first.local ? 'A saved copy of' : 'Unsaved work on'} <strong></strong> was found in this browser.</span>
+    <select class="session-snapshot" title="Saved snapshots">
+      ${snapshots.map((s, i) => `
+        <option value="${i}">${describe(s, i)}</option>`).join('')}
+    </select>
+    <button type="button" class="session-restore">Restore</button>
+    <button type="button" class="session-discard">Discard</button>
+  `;
+  banner.querySelector('strong').textContent = name;
+  banner.hidden = false;
+
+  banner.querySelector('.session-restore').addEventListener('click', async () => {
+    const chosen = snapshots[Number(banner.querySelector('.session-snapshot').value)];
+    hideBanner();
+    await restoreSnapshot(chosen);
+  });
+
+  banner.querySelector('.session-discard').addEventListener('click', async () => {
+    hideBanner();
+    if (first.local) return clearLocalSave();
+    try {
+      await withStore('readwrite', store => snapshots.forEach(s => store.delete(s.id)));
+    } catch (err) {
+      console.warn('Could not discard the saved session:', err);
+    }
+  });
+}
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: restoreSnapshot
+ * --------------------------------------------------------------------------
+ * Replaces the workspace with a saved snapshot.
+ *
+ * @param {Object} snapshot - Record read from IndexedDB, or the
+ *   localStorage copy (XML only, parsed here).
+ * @returns {Promise<void>}
+ */
+async function restoreSnapshot(snapshot) {
+  let data = snapshot.sentences;
+  if (data) {
+    data.meta = snapshot.meta || undefined;
+  } else {
+    data = parseTreeBankXML(snapshot.xml);
+    if (!data.length) {
+      alert("The saved copy could not be read.");
+      return;
+    }
+  }
+
+  window.treebankData = data;
+  window.currentFileName = snapshot.fileName || '';
+  window.uploadedFileHandle = snapshot.fileHandle || null;
+  markUnsaved(); // restored from the browser, not yet in the file
+  await resetWorkspace(snapshot.currentIndex ?? data[0].id);
+}
+
+function hideBanner() {
+  const banner = document.getElementById('session-restore');
+  if (!banner) return;
+  banner.hidden = true;
+  banner.innerHTML = '';
+}
+
+/**
+ * The localStorage copy as a one-item snapshot list (empty when there is
+ * none, or it belongs to another document and anyDocument is false).
+ */
+function localSnapshot(anyDocument) {
+  const saved = readLocalSave();
+  if (!saved?.xml) return [];
+  const docKey = documentKey(saved.fileName, parseTreeBankXML(saved.xml));
+  if (!anyDocument && docKey !== currentDocKey()) return [];
+  return [{ ...saved, docKey, local: true }];
+}
+
+/**
+ * Key of the displayed document.
+ */
+function currentDocKey() {
+  return documentKey(window.currentFileName, window.treebankData);
+}
+
+/**
+ * File name (or the bundled sample's) and a hash of the <treebank>
+ * attributes and the first sentence's attributes (id, document_id, subdoc,
+ * ...). Annotation edits leave these alone, so the key does not change
+ * while the document is worked on.
+ */
+function documentKey(fileName, data) {
+  const identity = JSON.stringify([data?.meta?.rootAttributes || [], data?.[0]?.attributes || []]);
+  return `${fileName || DEFAULT_DOC}#${hashString(identity)}`;
+}
+
+// 32-bit FNV-1a, in base 36
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Snapshots of one document (or of all, when docKey is null), newest first.
+ */
+async function listSnapshots(docKey) {
+  let request;
+  await withStore('readonly', store => {
+    request = docKey ? store.index('docKey').getAll(docKey) : store.getAll();
+  });
+  return (request.result || []).sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Runs fn(store) in a transaction; resolves when the transaction completes.
+ */
+async function withStore(mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+    fn(tx.objectStore(STORE));
+  });
+}
+
+function openDatabase() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('docKey', 'docKey');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(err => {
+    dbPromise = null; // try again on the next save
+    throw err;
+  });
+  return dbPromise;
+}
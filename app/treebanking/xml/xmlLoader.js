@@ -26,3 +26,27 @@ export async function loadTreebankData() {
     return [];
   }
 }
+
+/**
+ * --------------------------------------------------------------------------
+ * FUNCTION: loadTreebankFromText
+ * --------------------------------------------------------------------------
+ * Replaces the cached dataset with a treebank read from a local file.
+ * Keeps the file name (used by Download) and, when the browser provides one,
+ * the file handle so saveCurrentTreebank() writes back to the same file.
+ *
+ * @param {string} xmlText - Contents of the Treebank XML file.
+ * @param {Object} [source] - Where the text came from.
+ * @param {string} [source.fileName] - Name of the opened file.
+ * @param {FileSystemFileHandle|null} [source.fileHandle] - Handle for write-back.
+ * @returns {Array<Object>} The parsed sentences, or [] if none were found.
+ */
+export function loadTreebankFromText(xmlText, { fileName = '', fileHandle = null } = {}) {
+  const parsed = parseTreeBankXML(xmlText);
+  if (!parsed.length) return [];
+
+  window.treebankData = parsed;
+  window.currentFileName = fileName;
+  window.uploadedFileHandle = fileHandle;
+  return parsed;
+}
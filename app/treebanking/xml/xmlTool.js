@@ -1,14 +1,28 @@
+import { sentenceXMLSource, readSentenceXML, applySentenceXML } from './sentenceXML.js';
+import { escapeXML as escapeHTML, serializeSentence, serializeWord, serializeTreebank } from './serializer.js';
+import { goToWord } from '../ui/search.js';
+
+// Which XML the panel shows: 'sentence', 'selection' or 'document'
+let xmlView = 'sentence';
+
 /**
  * --------------------------------------------------------------------------
  * FUNCTION: setupXMLTool
  * --------------------------------------------------------------------------
  * Adds an "XML" tool to the right-side toolbar.
- * When clicked, this tab displays a pretty-formatted, syntax-highlighted
- * XML view of the currently displayed sentence (only one sentence at a time).
+ * When clicked, this tab displays the syntax-highlighted XML of the current
+ * sentence, of the selected words, or of the whole document — exactly as
+ * Save writes it (see serializer.js).
  *
  * While this XML panel is open:
- *   - The dependency tree enters read-only mode (dimmed, non-interactive).
- *   - All pointer events are disabled on the SVG.
+ *   - The dependency tree enters read-only mode (dimmed, no edits).
+ *   - Clicking a node or token selects it (Ctrl/Cmd+click adds to the
+ *     selection) and scrolls the XML to its line.
+ *   - Hovering or clicking a <word> line highlights its token and node.
+ *
+ * "Edit XML" switches the panel to an editor for the sentence's XML (see
+ * sentenceXML.js); Apply replaces the sentence as one undoable edit, or
+ * lists what is wrong, by line. Moving to another sentence drops the draft.
  *
  * Clicking the button again closes the XML view and restores interactivity.
  *
@@ -22,64 +36,75 @@ export function setupXMLTool() {
   // --- Defensive guard: ensure required DOM elements exist ---
   if (!xmlBtn || !toolBody) return;
 
+  // Sentence whose XML is being edited (null when viewing)
+  let editingSentenceId = null;
+
+  // Selected words of the displayed sentence
+  let selection = { sentenceId: null, ids: [] };
+
   /**
    * --------------------------------------------------------------------------
-   * FUNCTION: formatXML
+   * FUNCTION: xmlLines
    * --------------------------------------------------------------------------
-   * Properly indents nested XML elements for readability.
-   * Adds two spaces per nesting level.
+   * The XML for the chosen view, one entry per line, each tagged with the
+   * sentence and word it belongs to so lines can be linked to the tree.
+   * Text comes from the serializer, so values are escaped as in the file.
    *
-   * @param {string} xmlString - Raw, escaped XML string (e.g., with &lt; and &gt;).
-   * @returns {string} Indented version of the XML string with line breaks preserved.
+   * @param {string} view - 'sentence', 'selection' or 'document'.
+   * @returns {Array<{text: string, sentenceId?: string, wordId?: string}>}
    */
-  function formatXML(xmlString) {
-    const lines = xmlString.split('\n');
-    let indentLevel = 0;
+  function xmlLines(view) {
+    const data = window.treebankData;
+    const sentence = data?.find(s => s.id === `${window.currentIndex}`);
+    if (!sentence) return [{ text: '<!-- No sentence loaded -->' }];
 
-    const formatted = lines.map(line => {
-      let trimmed = line.trim();
-      if (!trimmed) return ''; // skip empty lines
+    if (view === 'document') {
+      const lines = serializeTreebank(data).split('\n').map(text => ({ text }));
+      // serializeTreebank: XML declaration, <treebank>, leading metadata, sentences
+      let at = 2 + (data.meta?.leading || []).reduce((n, raw) => n + raw.split('\n').length, 0);
+      data.forEach(s => { at += tagSentenceLines(lines, at, s); });
+      return lines;
+    }
 
-      // Decrease indent after closing tag
-      if (trimmed.match(/^&lt;\/[^>]+&gt;$/)) indentLevel--;
+    if (view === 'selection') {
+      const words = sentence.words.filter(w => currentSelection().includes(w.id));
+      if (!words.length) {
+        return [{ text: '<!-- Select words in the tree or the sentence (Ctrl+click for several) -->' }];
+      }
+      return words.flatMap(w => serializeWord(w, '').split('\n')
+        .map(text => ({ text, sentenceId: sentence.id, wordId: w.id })));
+    }
 
-      // Apply indentation
-      const spaces = '&nbsp;'.repeat(indentLevel * 2);
-      const indentedLine = spaces + trimmed;
+    const lines = serializeSentence(sentence, '').split('\n').map(text => ({ text }));
+    tagSentenceLines(lines, 0, sentence);
+    return lines;
+  }
 
-      // Increase indent after opening tag that’s not self-closing
-      if (trimmed.match(/^&lt;[^/!?][^>]*[^/]&gt;$/)) indentLevel++;
+  // Tags the lines of one serialized sentence starting at `at`; returns its line count
+  function tagSentenceLines(lines, at, sentence) {
+    const count = serializeSentence(sentence).split('\n').length;
+    for (let i = 0; i < count; i++) lines[at + i].sentenceId = sentence.id;
 
-      return indentedLine;
+    // Words follow in order, one or more lines each; extra children may
+    // come between them
+    let line = at + 1;
+    sentence.words.forEach(w => {
+      const wordLines = serializeWord(w, '').split('\n');
+      while (line < at + count && lines[line].text.trim() !== wordLines[0]) line++;
+      for (let i = 0; i < wordLines.length && line < at + count; i++) lines[line++].wordId = w.id;
     });
-
-    return formatted.join('<br>');
+    return count;
   }
 
+  // Selected ids, if they belong to the displayed sentence
+  function currentSelection() {
+    return selection.sentenceId === `${window.currentIndex}` ? selection.ids : [];
+  }
 
-/**
- * --------------------------------------------------------------------------
- * FUNCTION: getCurrentSentenceXML
- * --------------------------------------------------------------------------
- * Retrieves the XML representation of the currently displayed sentence.
- * Only includes the current sentence and its <word> elements.
- *
- * @returns {string} Escaped and formatted XML markup.
- */
-function getCurrentSentenceXML() {
-  const data = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
-  if (!data) return '&lt;!-- No sentence loaded --&gt;';
-
-  // Construct XML with line breaks, preferring active display values
-  const words = data.words.map(w => {
-    const lemma  = w._displayLemma  ?? w.lemma;
-    const postag = w._displayPostag ?? w.postag;
-    return `  &lt;word id="${w.id}" form="${w.form}" lemma="${lemma}" postag="${postag}" relation="${w.relation}" head="${w.head}" /&gt;`;
-  }).join('\n');
-
-  const xml = `&lt;sentence id="${data.id}"&gt;\n${words}\n&lt;/sentence&gt;`;
-  return xml;
-}
+  // Escapes text for display inside the <pre>
+  function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
 
   /**
    * --------------------------------------------------------------------------
@@ -92,24 +117,311 @@ function getCurrentSentenceXML() {
    * @returns {string} Highlighted HTML string.
    */
   function highlightXML(xmlString) {
-    return xmlString
-      // Highlight tags and attributes
-      .replace(/(&lt;\/?)([a-zA-Z0-9_-]+)([^&]*?)(&gt;)/g, (match, lt, tag, attrs, gt) => {
+    return xmlString.replace(
+      /(&lt;!--[\s\S]*?--&gt;)|(&lt;\/?)([\w:.-]+)((?:[^&]|&(?!gt;))*?)(&gt;)/g,
+      (match, comment, lt, tag, attrs, gt) => {
+        if (comment) return `<span class="xml-comment">${comment}</span>`;
+
+        // Highlight tags and attributes
         const coloredAttrs = attrs.replace(
-          /([a-zA-Z0-9_-]+)="(.*?)"/g,
+          /([\w:.-]+)="(.*?)"/g,
           `<span class="xml-attr">$1</span>=<span class="xml-value">"$2"</span>`
         );
         return `${lt}<span class="xml-tag">${tag}</span>${coloredAttrs}${gt}`;
       });
   }
 
+  /**
+   * --------------------------------------------------------------------------
+   * FUNCTION: highlightSource
+   * --------------------------------------------------------------------------
+   * Highlights raw (editable) XML line by line, for the layer shown behind
+   * the editor's textarea. Lines with errors are marked.
+   *
+   * @param {string} text - XML as typed.
+   * @param {Set<number>} [errorLines] - 1-based lines to mark.
+   * @returns {string} Highlighted HTML, one block per line.
+   */
+  function highlightSource(text, errorLines = new Set()) {
+    return text.split('\n').map((line, i) => {
+      const cls = errorLines.has(i + 1) ? 'xml-line xml-error-line' : 'xml-line';
+      return `<span class="${cls}">${highlightXML(escapeText(line)) || ' '}</span>`;
+    }).join('');
+  }
+
+  /**
+   * --------------------------------------------------------------------------
+   * FUNCTION: renderXMLView
+   * --------------------------------------------------------------------------
+   * Shows the read-only, highlighted XML of the chosen view, with the view
+   * switch and the Edit button. <word> lines carry their sentence and word
+   * ids; lines of the selected words are marked.
+   *
+   * @returns {void}
+   */
+  function renderXMLView() {
+    const selected = currentSelection();
+    const lines = xmlLines(xmlView).map(line => {
+      const html = highlightXML(escapeText(line.text)) || ' ';
+      if (!line.wordId) return `<span class="xml-line">${html}</span>`;
+
+      const isSelected = line.sentenceId === `${window.currentIndex}` && selected.includes(line.wordId);
+      return `<span class="xml-line xml-word-line${isSelected ? ' selected' : ''}"
+        data-sentence-id="${escapeHTML(line.sentenceId)}" data-word-id="${escapeHTML(line.wordId)}">${html}</span>`;
+    });
+
+    const option = (value, label) => `
+      <label><input type="radio" name="xml-view" value="${value}" ${xmlView === value ? 'checked' : ''} /> ${label}</label>`;
+
+    toolBody.innerHTML = `
+      <div class="xml-actions">
+        <div class="xml-view-switch">
+          ${option('sentence', 'Sentence')}
+          ${option('selection', `Selection${selected.length ? ` (${selected.length})` : ''}`)}
+          ${option('document', 'Document')}
+        </div>
+        <button type="button" class="xml-edit-start" title="Edit this sentence's XML">Edit XML</button>
+      </div>
+      <pre class="xml-display">${lines.join('')}</pre>`;
+  }
+
+  /**
+   * --------------------------------------------------------------------------
+   * FUNCTION: scrollToXMLLine
+   * --------------------------------------------------------------------------
+   * Scrolls the panel so the first selected <word> line is in view — or, in
+   * the document view without a selection, the displayed sentence.
+   *
+   * @returns {void}
+   */
+  function scrollToXMLLine() {
+    const current = `${window.currentIndex}`;
+    const target = toolBody.querySelector('.xml-word-line.selected')
+      || (xmlView === 'document'
+        && [...toolBody.querySelectorAll('.xml-word-line')].find(l => l.dataset.sentenceId === current));
+    if (!target) return;
+
+    const offset = target.getBoundingClientRect().top - toolBody.getBoundingClientRect().top;
+    toolBody.scrollTop += offset - toolBody.clientHeight / 3;
+  }
+
+  /**
+   * --------------------------------------------------------------------------
+   * FUNCTION: selectXMLWord
+   * --------------------------------------------------------------------------
+   * Selects a word of the displayed sentence while the XML panel is open
+   * (replacing the selection, or toggling the word in it when `add` is
+   * set), marks its token and node, and brings its XML line into view.
+   * Called for clicks on tokens and nodes (see handleWordClick) and on
+   * <word> lines.
+   *
+   * @param {string} wordId - Word to select.
+   * @param {boolean} [add=false] - Add to / remove from the selection.
+   * @returns {void}
+   */
+  function selectXMLWord(wordId, add = false) {
+    if (!xmlBtn.classList.contains('active') || editingSentenceId !== null) return;
+
+    const ids = currentSelection();
+    let next;
+    if (add) next = ids.includes(wordId) ? ids.filter(id => id !== wordId) : [...ids, wordId];
+    else next = [wordId];
+    selection = { sentenceId: `${window.currentIndex}`, ids: next };
+
+    markSelection();
+    const scrollTop = toolBody.scrollTop;
+    renderXMLView();
+    toolBody.scrollTop = scrollTop;
+    scrollToXMLLine();
+  }
+
+  // Marks the selected words' tokens and nodes
+  function markSelection() {
+    const ids = currentSelection();
+    document.querySelectorAll('.token').forEach(t => t.classList.toggle('selected', ids.includes(t.dataset.wordId)));
+    document.querySelectorAll('.node').forEach(n => n.classList.toggle('selected', ids.includes(n.id)));
+  }
+
+  // Highlights (or un-highlights) a word's token, node and XML lines
+  function highlightWord(wordId, on) {
+    document.querySelector(`.token[data-word-id="${CSS.escape(wordId)}"]`)?.classList.toggle('highlight', on);
+    document.querySelector(`.node[id="${CSS.escape(wordId)}"]`)?.classList.toggle('highlight', on);
+    const current = `${window.currentIndex}`;
+    toolBody.querySelectorAll(`.xml-word-line[data-word-id="${CSS.escape(wordId)}"]`).forEach(line => {
+      if (line.dataset.sentenceId === current) line.classList.toggle('highlight', on);
+    });
+  }
+
+  window.selectXMLWord = selectXMLWord;
+
+  /**
+   * --------------------------------------------------------------------------
+   * FUNCTION: renderXMLEditor
+   * --------------------------------------------------------------------------
+   * Shows the editor for the current sentence's XML: a textarea over a
+   * highlighted copy of its text, Apply / Cancel, and the error list.
+   * Ctrl+Enter applies, Escape cancels, Tab indents.
+   *
+   * @param {string} text - XML to edit.
+   * @returns {void}
+   */
+  function renderXMLEditor(text) {
+    toolBody.innerHTML = `
+      <div class="xml-editor">
+        <div class="xml-actions">
+          <button type="button" class="xml-edit-apply" title="Apply (Ctrl+Enter)">Apply</button>
+          <button type="button" class="xml-edit-cancel" title="Cancel (Esc)">Cancel</button>
+        </div>
+        <div class="xml-edit-area">
+          <pre class="xml-display xml-edit-highlight" aria-hidden="true"></pre>
+          <textarea class="xml-edit-source" spellcheck="false" wrap="off"
+                    aria-label="Sentence XML"></textarea>
+        </div>
+        <ul class="xml-errors" hidden></ul>
+      </div>`;
+
+    const source = toolBody.querySelector('.xml-edit-source');
+    const layer = toolBody.querySelector('.xml-edit-highlight');
+    source.value = text;
+
+    const sync = () => {
+      layer.scrollTop = source.scrollTop;
+      layer.scrollLeft = source.scrollLeft;
+    };
+    source.addEventListener('input', () => {
+      layer.innerHTML = highlightSource(source.value);
+      sync();
+    });
+    source.addEventListener('scroll', sync);
+    source.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        applyEdit();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        cancelEdit();
+      } else if (e.key === 'Tab' && !e.shiftKey) {
+        e.preventDefault();
+        source.setRangeText('  ', source.selectionStart, source.selectionEnd, 'end');
+        source.dispatchEvent(new Event('input'));
+      }
+    });
+
+    layer.innerHTML = highlightSource(text);
+    source.focus();
+  }
+
+  /**
+   * --------------------------------------------------------------------------
+   * FUNCTION: showEditErrors
+   * --------------------------------------------------------------------------
+   * Lists errors under the editor and marks their lines; clicking an error
+   * puts the cursor on its line.
+   *
+   * @param {Array<{line: number|null, message: string}>} errors
+   * @returns {void}
+   */
+  function showEditErrors(errors) {
+    const source = toolBody.querySelector('.xml-edit-source');
+    const layer = toolBody.querySelector('.xml-edit-highlight');
+    const list = toolBody.querySelector('.xml-errors');
+    if (!source || !list) return;
+
+    layer.innerHTML = highlightSource(source.value, new Set(errors.map(e => e.line)));
+    list.innerHTML = errors.map(e => `
+      <li class="xml-error" ${e.line ? `data-line="${e.line}"` : ''}>
+        <span class="xml-error-line-no">${e.line ? `Line ${e.line}` : 'XML'}</span>
+        ${escapeHTML(e.message)}
+      </li>`).join('');
+    list.hidden = !errors.length;
+  }
+
+  function applyEdit() {
+    const source = toolBody.querySelector('.xml-edit-source');
+    const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+    if (!source || !sentence) return;
+
+    const { sentence: parsed, errors } = readSentenceXML(source.value, sentence);
+    if (errors.length) {
+      showEditErrors(errors);
+      return;
+    }
+
+    editingSentenceId = null;
+    applySentenceXML(parsed); // redraws, and shows the new XML via updateXMLIfActive
+  }
+
+  function cancelEdit() {
+    editingSentenceId = null;
+    renderXMLView();
+  }
+
+  // Panel buttons (the panel is re-rendered, so listen on the tool body)
+  toolBody.addEventListener('click', async (e) => {
+    if (!xmlBtn.classList.contains('active')) return;
+
+    const wordLine = e.target.closest('.xml-word-line');
+    if (e.target.matches('.xml-view-switch input')) {
+      xmlView = e.target.value;
+      renderXMLView();
+      toolBody.scrollTop = 0;
+      scrollToXMLLine();
+    } else if (wordLine) {
+      const { sentenceId, wordId } = wordLine.dataset;
+      if (sentenceId !== `${window.currentIndex}`) await goToWord(sentenceId, wordId);
+      selectXMLWord(wordId, e.ctrlKey || e.metaKey);
+    } else if (e.target.closest('.xml-edit-start')) {
+      const sentence = window.treebankData?.find(s => s.id === `${window.currentIndex}`);
+      if (!sentence) return;
+      editingSentenceId = sentence.id;
+      renderXMLEditor(sentenceXMLSource(sentence));
+    } else if (e.target.closest('.xml-edit-apply')) {
+      applyEdit();
+    } else if (e.target.closest('.xml-edit-cancel')) {
+      cancelEdit();
+    } else if (e.target.closest('.xml-error[data-line]')) {
+      const source = toolBody.querySelector('.xml-edit-source');
+      const line = Number(e.target.closest('.xml-error').dataset.line);
+      const start = source.value.split('\n').slice(0, line - 1).join('\n').length + (line > 1 ? 1 : 0);
+      source.focus();
+      source.setSelectionRange(start, start);
+      const lineHeight = parseFloat(getComputedStyle(source).lineHeight) || 20;
+      source.scrollTop = Math.max(0, (line - 3) * lineHeight);
+    }
+  });
+
+  // Hovering a <word> line of the displayed sentence highlights its token
+  // and node; hovering a token or node highlights its lines
+  toolBody.addEventListener('mouseover', (e) => {
+    const line = e.target.closest('.xml-word-line');
+    if (line && line.dataset.sentenceId === `${window.currentIndex}`) highlightWord(line.dataset.wordId, true);
+  });
+  toolBody.addEventListener('mouseout', (e) => {
+    const line = e.target.closest('.xml-word-line');
+    if (line && !line.contains(e.relatedTarget)) highlightWord(line.dataset.wordId, false);
+  });
+  ['mouseover', 'mouseout'].forEach(type => {
+    document.addEventListener(type, (e) => {
+      if (!xmlBtn.classList.contains('active') || toolBody.contains(e.target)) return;
+      const word = e.target.closest?.('.token, .node');
+      if (!word) return;
+      const id = word.dataset.wordId ?? word.id;
+      const current = `${window.currentIndex}`;
+      toolBody.querySelectorAll(`.xml-word-line[data-word-id="${CSS.escape(id)}"]`).forEach(line => {
+        if (line.dataset.sentenceId === current) line.classList.toggle('highlight', type === 'mouseover');
+      });
+    });
+  });
+
   window.updateXMLIfActive = updateXMLIfActive;
 
     /**
    * --------------------------------------------------------------------------
    * FUNCTION: updateXMLIfActive
    * --------------------------------------------------------------------------
-   * Refreshes the XML panel automatically when navigating between sentences.
+   * Refreshes the XML panel automatically when navigating between sentences
+   * and after edits, keeping the scroll position (a different sentence
+   * scrolls to its selection or, in the document view, to its lines).
    * Does nothing if XML view is not active.
    *
    * @returns {void}
@@ -123,11 +435,24 @@ function updateXMLIfActive() {
     return;
   }
 
-  const rawXML = getCurrentSentenceXML();
-  const formatted = formatXML(rawXML);
-  const highlighted = highlightXML(formatted);
-  toolBody.innerHTML = `<pre class="xml-display">${highlighted}</pre>`;
-  toolBody.scrollTop = 0;
+  // Keep a draft while its sentence is shown; drop it when navigating away
+  if (editingSentenceId !== null) {
+    if (editingSentenceId === `${window.currentIndex}`) return;
+    editingSentenceId = null;
+  }
+
+  const shown = toolBody.dataset.xmlSentence;
+  const scrollTop = toolBody.scrollTop;
+  renderXMLView();
+  markSelection();
+  toolBody.dataset.xmlSentence = `${window.currentIndex}`;
+
+  if (shown === `${window.currentIndex}`) {
+    toolBody.scrollTop = scrollTop;
+  } else {
+    toolBody.scrollTop = 0;
+    scrollToXMLLine();
+  }
 }
 
 window.updateXMLIfActive = updateXMLIfActive;
@@ -136,15 +461,14 @@ window.updateXMLIfActive = updateXMLIfActive;
    * --------------------------------------------------------------------------
    * FUNCTION: enterReadOnly
    * --------------------------------------------------------------------------
-   * Disables all interactivity on the dependency tree.
-   * Called when the XML panel is active.
+   * Disables editing on the dependency tree (clicks only select words for
+   * the XML view, see handleWordClick). Called when the XML panel is active.
    *
    * @returns {void} Sets read-only flag and dims the SVG display.
    */
   function enterReadOnly() {
     window.isReadOnly = true;
     d3.select('#sandbox svg')
-      .style('pointer-events', 'none') // disable user input
       .style('opacity', 0.85);         // visually indicate locked state
   }
 
@@ -158,17 +482,29 @@ window.updateXMLIfActive = updateXMLIfActive;
    */
   function exitReadOnly() {
     window.isReadOnly = false;
+    selection = { sentenceId: null, ids: [] };
+    delete toolBody.dataset.xmlSentence;
+    document.querySelectorAll('.token.selected').forEach(t => t.classList.remove('selected'));
+    document.querySelectorAll('.node.selected').forEach(n => n.classList.remove('selected'));
     d3.select('#sandbox svg')
-      .style('pointer-events', 'all')
       .style('opacity', 1);
   }
 
+  // Allow other tools to close the XML view (e.g., when Relation opens)
+  window.closeXMLTool = function () {
+    if (!xmlBtn.classList.contains('active')) return;
+    editingSentenceId = null;
+    xmlBtn.classList.remove('active');
+    toolBody.innerHTML = `<p>Please select a tool from the bar above that you would like to use.</p>`;
+    exitReadOnly();
+  };
+
 /**
  * --------------------------------------------------------------------------
  * EVENT LISTENER: XML Button Click
  * --------------------------------------------------------------------------
  * Toggles the XML panel on and off. When enabled:
- *  - Shows indented, syntax-highlighted XML for the current sentence.
+ *  - Shows syntax-highlighted XML for the current view.
  *  - Locks the tree for read-only viewing.
  *
  * @returns {void}
@@ -181,19 +517,19 @@ xmlBtn.addEventListener('click', () => {
 
   if (wasActive) {
     // --- Exit XML mode ---
+    if (editingSentenceId !== null && !confirm('Discard your changes to the XML?')) {
+      xmlBtn.classList.add('active');
+      return;
+    }
+    editingSentenceId = null;
     xmlBtn.classList.remove('active');
     toolBody.innerHTML = `<p>Please select a tool from the bar above that you would like to use.</p>`;
     exitReadOnly();
   } else {
     // --- Activate XML mode ---
     xmlBtn.classList.add('active');
-
-    const rawXML = getCurrentSentenceXML();
-    const formatted = formatXML(rawXML);
-    const highlighted = highlightXML(formatted);
-    toolBody.innerHTML = `<pre class="xml-display">${highlighted}</pre>`;
-
     enterReadOnly();
+    updateXMLIfActive();
     document.body.classList.remove('mode-morph');
   }
 });
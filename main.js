@@ -8,7 +8,7 @@ import { setupMorphTool } from './app/treebanking/morph/morphTool.js';
 import { setupSentenceSelector } from './app/treebanking/ui/navigation.js';
 import { setupResizeHandle, displaySentence } from './app/treebanking/ui/sentenceDisplay.js';
 import { compactTree, expandTree, fitTreeToView, focusOnNode } from './app/treebanking/tree/treeUtils.js';
-import { saveCurrentTreebank } from './app/treebanking/xml/saveXML.js';
+import { saveCurrentTreebank, buildXML } from './app/treebanking/xml/saveXML.js';
 
 window.root = null;
 window.svg = null;
@@ -27,19 +27,9 @@ function setupDownloadButton() {
   if (!button) return;
 
   button.addEventListener("click", async () => {
-    const data = window.treebankData || [];
-    let xmlOut = '<?xml version="1.0" encoding="UTF-8"?>\n<treebank>\n';
-
-    for (const s of data) {
-      xmlOut += `  <sentence id="${s.id}">\n`;
-      for (const w of s.words) {
-        const lemma  = (w._displayLemma  || w.lemma  || '').replace(/"/g, '&quot;');
-        const postag = (w._displayPostag || w.postag || '').replace(/"/g, '&quot;');
-        xmlOut += `    <word id="${w.id}" form="${w.form}" lemma="${lemma}" postag="${postag}" relation="${w.relation}" head="${w.head}" />\n`;
-      }
-      xmlOut += '  </sentence>\n';
-    }
-    xmlOut += '</treebank>';
+    // Same serializer as Save, so nothing in the source document is lost
+    const xmlOut = buildXML();
+    if (!xmlOut) return;
 
     const blob = new Blob([xmlOut], { type: "application/xml" });
     const el = document.createElement('a');